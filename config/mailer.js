@@ -0,0 +1,66 @@
+const fs = require("fs");
+const path = require("path");
+
+require("dotenv").config({ path: path.resolve(__dirname, "../.env") });
+
+const MAIL_FROM = process.env.MAIL_FROM || "no-reply@chocolate-shop.local";
+
+// Built-in transports. Each one receives a fully formed message
+// ({ from, to, subject, text, html }) and returns a promise.
+const transports = {
+  // Print the message to stdout - handy for local development
+  console: () => async (message) => {
+    console.log(
+      `\n--- Outgoing email ---\nFrom: ${message.from}\nTo: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n----------------------\n`
+    );
+  },
+
+  // Append the message as a JSON line to MAIL_FILE_PATH
+  file: () => {
+    const filePath = path.resolve(
+      __dirname,
+      "..",
+      process.env.MAIL_FILE_PATH || "mail.log"
+    );
+    return async (message) => {
+      const entry = { ...message, sentAt: new Date().toISOString() };
+      await fs.promises.appendFile(filePath, JSON.stringify(entry) + "\n");
+    };
+  },
+};
+
+let activeTransport = null;
+
+/**
+ * Register an additional transport (e.g. SMTP, SES) that can be selected
+ * through the MAIL_TRANSPORT environment variable.
+ * @param {string} name - Transport name
+ * @param {Function} factory - Returns an async function (message) => void
+ */
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+  activeTransport = null;
+};
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || "console";
+    const factory = transports[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} options - { to, subject, text, html }
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  const send = getTransport();
+  await send({ from: MAIL_FROM, to, subject, text, html: html || text });
+};
+
+module.exports = { sendMail, registerTransport };
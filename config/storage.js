@@ -0,0 +1,181 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const {
+  cloudinary,
+  isCloudinaryConfigured,
+  getMissingEnvVars,
+} = require("./cloudinary");
+
+require("dotenv").config({ path: path.resolve(__dirname, "../.env") });
+
+// Folder (Cloudinary) or sub-directory (local) uploads are stored under
+const UPLOAD_FOLDER =
+  process.env.STORAGE_UPLOAD_FOLDER ||
+  process.env.CLOUDINARY_UPLOAD_FOLDER ||
+  "chocolate_shop";
+
+// Local files live in LOCAL_STORAGE_DIR and are served from this route
+const LOCAL_STORAGE_ROUTE = "/uploads";
+const LOCAL_STORAGE_DIR = path.resolve(
+  __dirname,
+  "..",
+  process.env.LOCAL_STORAGE_DIR || "uploads"
+);
+const LOCAL_STORAGE_BASE_URL = (
+  process.env.LOCAL_STORAGE_BASE_URL ||
+  `http://localhost:${process.env.PORT || 5000}`
+).replace(/\/+$/, "");
+
+const MIME_EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/gif": "gif",
+};
+
+// Built-in drivers. Each factory returns an adapter with:
+//   upload(file, { folder }) -> Promise<{ url, key }>  (file from multer memory storage)
+//   remove(key)              -> Promise<void>
+//   keyFromUrl(url)          -> key or null, for files stored before keys were recorded
+const drivers = {
+  cloudinary: () => {
+    if (!isCloudinaryConfigured()) {
+      throw new Error(
+        `Cloudinary storage requires: ${getMissingEnvVars().join(", ")}`
+      );
+    }
+
+    return {
+      upload: async (file, { folder }) => {
+        const dataUri = `data:${file.mimetype};base64,${file.buffer.toString("base64")}`;
+        const result = await cloudinary.uploader.upload(dataUri, {
+          folder,
+          resource_type: "image",
+          format: "webp",
+          transformation: [
+            { width: 800, height: 800, crop: "limit", quality: "auto" },
+          ],
+        });
+        return { url: result.secure_url, key: result.public_id };
+      },
+
+      remove: async (key) => {
+        await cloudinary.uploader.destroy(key);
+      },
+
+      // ".../upload/v123/chocolate_shop/abc.webp" -> "chocolate_shop/abc"
+      keyFromUrl: (url) => {
+        const match = /\/upload\/(?:.*\/)?v\d+\/(.+?)(?:\.[^./]+)?$/.exec(url || "");
+        return match ? match[1] : null;
+      },
+    };
+  },
+
+  // Write files to LOCAL_STORAGE_DIR, served by the static route in server.js
+  local: () => {
+    const resolveKey = (key) => {
+      const filePath = path.resolve(LOCAL_STORAGE_DIR, key);
+      if (!filePath.startsWith(LOCAL_STORAGE_DIR + path.sep)) {
+        throw new Error(`Invalid storage key: ${key}`);
+      }
+      return filePath;
+    };
+
+    return {
+      upload: async (file, { folder }) => {
+        const extension =
+          MIME_EXTENSIONS[file.mimetype] ||
+          path.extname(file.originalname).toLowerCase().substring(1) ||
+          "bin";
+        const key = `${folder}/${Date.now()}-${crypto.randomBytes(8).toString("hex")}.${extension}`;
+        const filePath = resolveKey(key);
+
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, file.buffer);
+
+        return { url: `${LOCAL_STORAGE_BASE_URL}${LOCAL_STORAGE_ROUTE}/${key}`, key };
+      },
+
+      remove: async (key) => {
+        try {
+          await fs.promises.unlink(resolveKey(key));
+        } catch (error) {
+          if (error.code !== "ENOENT") {
+            throw error;
+          }
+        }
+      },
+
+      keyFromUrl: (url) => {
+        const prefix = `${LOCAL_STORAGE_BASE_URL}${LOCAL_STORAGE_ROUTE}/`;
+        return url && url.startsWith(prefix) ? url.slice(prefix.length) : null;
+      },
+    };
+  },
+};
+
+const adapters = {};
+
+/**
+ * Register an additional storage driver (e.g. S3) that can be selected
+ * through the STORAGE_DRIVER environment variable.
+ * @param {string} name - Driver name
+ * @param {Function} factory - Returns an adapter { upload, remove, keyFromUrl }
+ */
+const registerDriver = (name, factory) => {
+  drivers[name] = factory;
+  delete adapters[name];
+};
+
+// Defaults to Cloudinary when it is configured, local files otherwise
+const getDriverName = () =>
+  process.env.STORAGE_DRIVER ||
+  (isCloudinaryConfigured() ? "cloudinary" : "local");
+
+const getAdapter = (name) => {
+  if (!adapters[name]) {
+    const factory = drivers[name];
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+    adapters[name] = factory();
+  }
+  return adapters[name];
+};
+
+/**
+ * Store an uploaded file with the configured driver
+ * @param {Object} file - File from multer memory storage
+ * @param {Object} options - { folder }
+ * @returns {Promise<Object>} { storage, url, key } - keep storage and key to delete the file later
+ */
+const uploadFile = async (file, { folder = UPLOAD_FOLDER } = {}) => {
+  if (!file || !file.buffer || file.buffer.length === 0) {
+    throw new Error("Empty file");
+  }
+
+  const storage = getDriverName();
+  const { url, key } = await getAdapter(storage).upload(file, { folder });
+  return { storage, url, key };
+};
+
+/**
+ * Delete a stored file with the driver it was uploaded to
+ * @param {Object} file - { storage, key, url }; the key is derived from the url when missing
+ */
+const deleteFile = async ({ storage, key, url }) => {
+  const adapter = getAdapter(storage || getDriverName());
+  const storageKey = key || adapter.keyFromUrl(url);
+  if (storageKey) {
+    await adapter.remove(storageKey);
+  }
+};
+
+module.exports = {
+  LOCAL_STORAGE_ROUTE,
+  LOCAL_STORAGE_DIR,
+  uploadFile,
+  deleteFile,
+  registerDriver,
+};
@@ -0,0 +1,111 @@
+const multer = require("multer");
+const path = require("path");
+
+require("dotenv").config({ path: path.resolve(__dirname, "../.env") });
+
+// The CLOUDINARY_* names are still honoured for existing deployments
+const allowedFormats = (
+  process.env.UPLOAD_ALLOWED_FORMATS ||
+  process.env.CLOUDINARY_ALLOWED_FORMATS ||
+  "jpg,jpeg,png,webp"
+)
+  .split(",")
+  .map((f) => f.trim().toLowerCase());
+
+const maxFileSizeMb =
+  parseInt(
+    process.env.UPLOAD_MAX_FILE_SIZE || process.env.CLOUDINARY_MAX_FILE_SIZE,
+    10
+  ) || 5;
+
+// Catalog import files (CSV or JSON)
+const IMPORT_FORMATS = ["csv", "json"];
+const importMaxFileSizeMb = parseInt(process.env.IMPORT_MAX_FILE_SIZE, 10) || 5;
+
+// Most images a single gallery upload request may contain
+const MAX_IMAGES_PER_UPLOAD =
+  parseInt(process.env.MAX_IMAGES_PER_UPLOAD, 10) || 10;
+
+// Files are kept in memory and handed to the configured storage driver
+const memoryStorage = multer.memoryStorage();
+
+const uploadOptions = (files) => ({
+  storage: memoryStorage,
+  limits: {
+    fileSize: maxFileSizeMb * 1024 * 1024, // Convert MB to bytes
+    files,
+  },
+  fileFilter: (req, file, cb) => {
+    const fileType = file.mimetype.split("/")[0];
+    if (fileType !== "image") {
+      return cb(
+        new Error(`Only image files are allowed! Received: ${file.mimetype}`),
+        false
+      );
+    }
+
+    const fileExt = path.extname(file.originalname).toLowerCase().substring(1);
+    if (!allowedFormats.includes(fileExt)) {
+      return cb(
+        new Error(
+          `Invalid file type. Allowed types: ${allowedFormats.join(
+            ", "
+          )}. Received: ${fileExt}`
+        ),
+        false
+      );
+    }
+
+    cb(null, true);
+  },
+});
+
+const upload = multer(uploadOptions(1)).single("image");
+const uploadMany = multer(uploadOptions(MAX_IMAGES_PER_UPLOAD)).array(
+  "images",
+  MAX_IMAGES_PER_UPLOAD
+);
+
+const uploadImport = multer({
+  storage: memoryStorage,
+  limits: {
+    fileSize: importMaxFileSizeMb * 1024 * 1024,
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    const fileExt = path.extname(file.originalname).toLowerCase().substring(1);
+    if (!IMPORT_FORMATS.includes(fileExt)) {
+      return cb(
+        new Error(
+          `Invalid file type. Allowed types: ${IMPORT_FORMATS.join(
+            ", "
+          )}. Received: ${fileExt}`
+        ),
+        false
+      );
+    }
+
+    cb(null, true);
+  },
+}).single("file");
+
+// Wrap a multer handler so upload errors become 400 responses
+const handleUpload = (handler) => (req, res, next) => {
+  handler(req, res, async (err) => {
+    if (err) {
+      return res.status(400).json({ message: err.message });
+    }
+    next();
+  });
+};
+
+// Middleware to handle a single file upload (field "image")
+const uploadImage = handleUpload(upload);
+
+// Middleware to handle several file uploads (field "images")
+const uploadImages = handleUpload(uploadMany);
+
+// Middleware to handle a catalog import file upload (field "file")
+const uploadImportFile = handleUpload(uploadImport);
+
+module.exports = { uploadImage, uploadImages, uploadImportFile };
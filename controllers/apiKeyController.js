@@ -0,0 +1,122 @@
+const pool = require("../config/db");
+const {
+  generateRandomToken,
+  hashToken,
+  getRoleWithPermissions,
+} = require("../middleware/auth");
+
+const API_KEY_PREFIX = "sk_";
+
+// --- API Key Controller Functions ---
+
+/**
+ * Create an API key (admin only).
+ * The key acts as its creator, limited to the given scopes, so scopes must
+ * be permissions the creator holds. The raw key is only returned once.
+ */
+const createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    if (!name || !Array.isArray(scopes) || !scopes.length) {
+      return res
+        .status(400)
+        .json({ message: "Name and at least one scope are required" });
+    }
+
+    const role = await getRoleWithPermissions(req.user.role_id);
+    const invalidScopes = scopes.filter(
+      (scope) => !role || !role.permissions.has(scope)
+    );
+    if (invalidScopes.length) {
+      return res.status(400).json({
+        message: `Scopes not granted to your role: ${invalidScopes.join(", ")}`,
+      });
+    }
+
+    let expiry = null;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+        return res
+          .status(400)
+          .json({ message: "expiresAt must be a date in the future" });
+      }
+    }
+
+    const apiKey = `${API_KEY_PREFIX}${generateRandomToken(24)}`;
+    const keyPrefix = apiKey.slice(0, API_KEY_PREFIX.length + 8);
+
+    const [result] = await pool.query(
+      "INSERT INTO api_keys (name, key_prefix, key_hash, scopes, created_by, expires_at) VALUES (?, ?, ?, ?, ?, ?)",
+      [name, keyPrefix, hashToken(apiKey), JSON.stringify(scopes), req.user.id, expiry]
+    );
+
+    res.status(201).json({
+      message: "API key created. Copy it now, it won't be shown again",
+      apiKey: {
+        id: result.insertId,
+        name,
+        key: apiKey,
+        keyPrefix,
+        scopes,
+        expiresAt: expiry,
+      },
+    });
+  } catch (error) {
+    console.error("Create API key error:", error);
+    res.status(500).json({ message: "Error creating API key" });
+  }
+};
+
+/**
+ * List API keys without their secret (admin only).
+ */
+const getApiKeys = async (req, res) => {
+  try {
+    const [keys] = await pool.query(
+      `SELECT k.id, k.name, k.key_prefix, k.scopes, k.created_by, u.name AS created_by_name,
+              k.last_used_at, k.expires_at, k.revoked_at, k.created_at
+       FROM api_keys k
+       JOIN users u ON k.created_by = u.id
+       ORDER BY k.created_at DESC`
+    );
+
+    res.json(
+      keys.map((key) => ({
+        ...key,
+        scopes: typeof key.scopes === "string" ? JSON.parse(key.scopes) : key.scopes,
+      }))
+    );
+  } catch (error) {
+    console.error("Get API keys error:", error);
+    res.status(500).json({ message: "Error fetching API keys" });
+  }
+};
+
+/**
+ * Revoke an API key (admin only).
+ */
+const revokeApiKey = async (req, res) => {
+  try {
+    const [result] = await pool.query(
+      "UPDATE api_keys SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL",
+      [req.params.id]
+    );
+
+    if (!result.affectedRows) {
+      return res.status(404).json({ message: "API key not found" });
+    }
+
+    res.json({ message: "API key revoked successfully" });
+  } catch (error) {
+    console.error("Revoke API key error:", error);
+    res.status(500).json({ message: "Error revoking API key" });
+  }
+};
+
+module.exports = {
+  createApiKey,
+  getApiKeys,
+  revokeApiKey,
+};
@@ -1,85 +1,64 @@
-const { generateToken, generateRefreshToken } = require("../middleware/auth");
+const {
+  REFRESH_TOKEN_EXPIRY_DAYS,
+  generateToken,
+  generateRefreshToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  generateRandomToken,
+  hashToken,
+  wantsCookieAuth,
+  setAuthCookies,
+  clearAuthCookies,
+  getRefreshTokenFromRequest,
+  isCsrfValid,
+} = require("../middleware/auth");
 const pool = require("../config/db");
+const { mergeGuestCart } = require("./cartController");
+const { sendMail } = require("../config/mailer");
 const bcrypt = require("bcrypt");
+const { authenticator } = require("otplib");
 
-// --- Role Model Functions ---
-
-/**
- * Create a new role in the database
- * @param {string} name - Name of the role (e.g., 'admin', 'user')
- * @returns {Promise<number>} The ID of the created role
- */
-const createRole = async (name) => {
-  try {
-    const [result] = await pool.query(
-      "INSERT INTO roles (name) VALUES (?)",
-      [name]
-    );
-    return result.insertId;
-  } catch (error) {
-    if (error.code === "ER_DUP_ENTRY") {
-      throw new Error("Role already exists");
-    }
-    throw error;
-  }
-};
+const CLIENT_URL = process.env.CLIENT_URL || "http://localhost:5173";
+const RESET_TOKEN_EXPIRY_MINUTES =
+  parseInt(process.env.RESET_TOKEN_EXPIRY_MINUTES, 10) || 60;
+const VERIFICATION_TOKEN_EXPIRY_HOURS =
+  parseInt(process.env.VERIFICATION_TOKEN_EXPIRY_HOURS, 10) || 24;
 
-// --- User Model Functions ---
+// Loose email format check (the verification email proves the address)
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
-/**
- * Create a new role and user in a single transaction
- * @param {Object} roleData - Role data { name }
- * @param {Object} userData - User data { name, email, password }
- * @returns {Promise<Object>} Object containing roleId and userId
- */
-const createRoleAndUser = async (roleData, userData) => {
-  let connection;
-  try {
-    // Get a connection from the pool
-    connection = await pool.getConnection();
-    
-    // Start transaction
-    await connection.beginTransaction();
+// Brute-force protection settings
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+const LOGIN_LOCKOUT_MINUTES =
+  parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const LOGIN_IP_MAX_ATTEMPTS =
+  parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS, 10) || 20;
+const LOGIN_IP_WINDOW_MINUTES =
+  parseInt(process.env.LOGIN_IP_WINDOW_MINUTES, 10) || 15;
+const LOGIN_MAX_DELAY_SECONDS = 60;
 
-    try {
-      // 1. Create role first
-      const [roleResult] = await connection.query(
-        "INSERT INTO roles (name) VALUES (?)",
-        [roleData.name]
-      );
-      const roleId = roleResult.insertId;
+// Two-factor authentication settings
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || "Chocolate Shop";
+const RECOVERY_CODE_COUNT = 10;
 
-      // 2. Then create user with the new role
-      const hashedPassword = await bcrypt.hash(userData.password, 10);
-      const [userResult] = await connection.query(
-        "INSERT INTO users (name, email, password, role_id) VALUES (?, ?, ?, ?)",
-        [userData.name, userData.email, hashedPassword, roleId]
-      );
+// Accept codes from the previous and next 30 second step to allow clock drift
+authenticator.options = { window: 1 };
 
-      // Commit the transaction
-      await connection.commit();
-      
-      return {
-        roleId,
-        userId: userResult.insertId
-      };
-    } catch (error) {
-      // Rollback the transaction if any error occurs
-      await connection.rollback();
-      throw error; // Re-throw the error to be caught by the outer catch
-    }
-  } finally {
-    // Always release the connection back to the pool
-    if (connection) {
-      connection.release();
-    }
-  }
-};
+// --- Role Model Functions ---
 
+// Role given to everyone who signs up through public registration
+const DEFAULT_ROLE = "user";
 
 /**
- * Create a new user in the database.
+ * Find the ID of a role by its name.
  */
+const findRoleIdByName = async (name) => {
+  const [rows] = await pool.query("SELECT id FROM roles WHERE name = ?", [name]);
+  return rows.length ? rows[0].id : null;
+};
+
+// --- User Model Functions ---
+
 /**
  * Check if a role exists by ID
  */
@@ -95,18 +74,24 @@ const roleExists = async (roleId) => {
 /**
  * Create a new user in the database.
  * @param {Object} userData - User data including name, email, password, and role_id
+ *   (defaults to the customer role)
+ * @param {Object} db - Pool or connection to run the insert on
  * @throws {Error} If email already exists or role is invalid
  */
-const createUser = async ({ name, email, password, role_id = 3 }) => {
+const createUser = async ({ name, email, password, role_id }, db = pool) => {
+  if (!role_id) {
+    role_id = await findRoleIdByName(DEFAULT_ROLE);
+  }
+
   // Validate role exists
-  const isValidRole = await roleExists(role_id);
+  const isValidRole = role_id && (await roleExists(role_id));
   if (!isValidRole) {
     throw new Error("Invalid role specified");
   }
 
   try {
     const hashedPassword = await bcrypt.hash(password, 10);
-    const [result] = await pool.query(
+    const [result] = await db.query(
       "INSERT INTO users (name, email, password, role_id) VALUES (?, ?, ?, ?)",
       [name, email, hashedPassword, role_id]
     );
@@ -151,6 +136,33 @@ const findUserById = async (id) => {
   }
 };
 
+/**
+ * Issue a new email verification token for a user and email it to them.
+ * Any previously issued token that hasn't been used is invalidated.
+ */
+const sendVerificationEmail = async (
+  user,
+  intro = "Thanks for signing up! Please confirm your email address using the link below:"
+) => {
+  await pool.query(
+    "UPDATE email_verification_tokens SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL",
+    [user.id]
+  );
+
+  const verificationToken = generateRandomToken();
+  await pool.query(
+    "INSERT INTO email_verification_tokens (user_id, token_hash, expires_at) VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))",
+    [user.id, hashToken(verificationToken), VERIFICATION_TOKEN_EXPIRY_HOURS]
+  );
+
+  const verifyUrl = `${CLIENT_URL}/verify-email?token=${verificationToken}`;
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: `Hi ${user.name},\n\n${intro}\n\n${verifyUrl}\n\nThis link expires in ${VERIFICATION_TOKEN_EXPIRY_HOURS} hours.`,
+  });
+};
+
 /**
  * Verify a user's password.
  */
@@ -158,6 +170,266 @@ const verifyPassword = async (user, password) => {
   return await bcrypt.compare(password, user.password);
 };
 
+/**
+ * Remove sensitive fields from a user row before sending it to the client.
+ */
+const sanitizeUser = (user) => {
+  delete user.password;
+  delete user.two_factor_secret;
+  delete user.two_factor_last_counter;
+  return user;
+};
+
+/**
+ * Send a response carrying tokens. In cookie mode the tokens are set as
+ * HttpOnly cookies and replaced in the body by the CSRF token.
+ * @param {Object} body - Response body including token and refreshToken
+ */
+const sendAuthResponse = (req, res, status, body) => {
+  if (!wantsCookieAuth(req)) {
+    return res.status(status).json(body);
+  }
+
+  const { token, refreshToken, ...rest } = body;
+  const csrfToken = setAuthCookies(res, { token, refreshToken });
+  res.status(status).json({ ...rest, csrfToken });
+};
+
+// --- Login Attempt Model Functions ---
+
+/**
+ * Record a login attempt in the login history.
+ * @param {Object} attempt - { userId, email, success, reason }
+ * @param {Object} req - Incoming request (for user agent and IP)
+ */
+const recordLoginAttempt = async ({ userId, email, success, reason }, req) => {
+  const userAgent = (req.get("user-agent") || "").substring(0, 255) || null;
+  await pool.query(
+    "INSERT INTO login_attempts (user_id, email, ip_address, user_agent, success, failure_reason) VALUES (?, ?, ?, ?, ?, ?)",
+    [userId || null, email, req.ip, userAgent, success, reason || null]
+  );
+};
+
+// Failures that count towards throttling. Attempts refused because of a
+// lockout or throttle are recorded too, but must not extend it.
+const CREDENTIAL_FAILURES = ["invalid_password", "unknown_email", "invalid_2fa_code"];
+
+/**
+ * Progressive delay (in seconds) required after a number of consecutive
+ * failures: nothing for the first two, then 1s, 2s, 4s... capped.
+ */
+const getLoginDelay = (failures) => {
+  if (failures < 2) {
+    return 0;
+  }
+  return Math.min(2 ** (failures - 2), LOGIN_MAX_DELAY_SECONDS);
+};
+
+/**
+ * Seconds the given IP must wait before its next login attempt (0 if none).
+ */
+const getIpRetryAfter = async (ip) => {
+  const [rows] = await pool.query(
+    `SELECT COUNT(*) AS failures, TIMESTAMPDIFF(SECOND, MAX(created_at), NOW()) AS seconds_since
+     FROM login_attempts
+     WHERE ip_address = ? AND success = FALSE AND failure_reason IN (?)
+       AND created_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+    [ip, CREDENTIAL_FAILURES, LOGIN_IP_WINDOW_MINUTES]
+  );
+  const { failures, seconds_since } = rows[0];
+
+  if (failures >= LOGIN_IP_MAX_ATTEMPTS) {
+    return LOGIN_IP_WINDOW_MINUTES * 60 - seconds_since;
+  }
+  return Math.max(getLoginDelay(failures) - seconds_since, 0);
+};
+
+/**
+ * Seconds the given account must wait before its next login attempt (0 if none).
+ */
+const getAccountRetryAfter = async (user) => {
+  // The counter of an expired lockout is reset on the next failure
+  if (!user.failed_login_attempts || user.locked_until) {
+    return 0;
+  }
+  const [rows] = await pool.query(
+    "SELECT TIMESTAMPDIFF(SECOND, MAX(created_at), NOW()) AS seconds_since FROM login_attempts WHERE user_id = ? AND success = FALSE AND failure_reason IN (?)",
+    [user.id, CREDENTIAL_FAILURES]
+  );
+  const secondsSince = rows[0].seconds_since || 0;
+  return Math.max(getLoginDelay(user.failed_login_attempts) - secondsSince, 0);
+};
+
+/**
+ * Count a failed password for an account, locking it once the limit is hit.
+ * After a lockout expires the count starts over.
+ */
+const registerFailedLogin = async (userId) => {
+  // Assignments run left to right, locked_until sees the new count
+  await pool.query(
+    `UPDATE users
+     SET failed_login_attempts = IF(locked_until <= NOW(), 1, failed_login_attempts + 1),
+         locked_until = IF(failed_login_attempts >= ?, DATE_ADD(NOW(), INTERVAL ? MINUTE),
+                           IF(locked_until <= NOW(), NULL, locked_until))
+     WHERE id = ?`,
+    [LOGIN_MAX_ATTEMPTS, LOGIN_LOCKOUT_MINUTES, userId]
+  );
+};
+
+/**
+ * Clear the failed attempt counter and any lockout for an account.
+ */
+const resetFailedLogins = async (userId, db = pool) => {
+  await db.query(
+    "UPDATE users SET failed_login_attempts = 0, locked_until = NULL WHERE id = ?",
+    [userId]
+  );
+};
+
+// --- Two-Factor Model Functions ---
+
+/**
+ * Check a TOTP code against a secret. A code is accepted only once: the
+ * time step it belongs to must be newer than the last one accepted.
+ * @param {Object} user - User row (id, two_factor_last_counter)
+ * @param {string} code - 6 digit code from the authenticator app
+ * @param {string} secret - Base32 secret to check against
+ * @returns {Promise<boolean>} Whether the code is valid
+ */
+const verifyTotpCode = async (user, code, secret) => {
+  const token = String(code || "").replace(/\s/g, "");
+  if (!secret || !/^\d{6}$/.test(token)) {
+    return false;
+  }
+
+  const delta = authenticator.checkDelta(token, secret);
+  if (delta === null) {
+    return false;
+  }
+
+  const counter = Math.floor(Date.now() / 1000 / 30) + delta;
+  const [result] = await pool.query(
+    "UPDATE users SET two_factor_last_counter = ? WHERE id = ? AND (two_factor_last_counter IS NULL OR two_factor_last_counter < ?)",
+    [counter, user.id, counter]
+  );
+  return result.affectedRows > 0;
+};
+
+/**
+ * Consume a one-time recovery code.
+ * @returns {Promise<boolean>} Whether an unused matching code was found
+ */
+const useRecoveryCode = async (userId, code) => {
+  const normalized = String(code || "").replace(/[\s-]/g, "").toLowerCase();
+  if (!normalized) {
+    return false;
+  }
+
+  const [result] = await pool.query(
+    "UPDATE two_factor_recovery_codes SET used_at = NOW() WHERE user_id = ? AND code_hash = ? AND used_at IS NULL LIMIT 1",
+    [userId, hashToken(normalized)]
+  );
+  return result.affectedRows > 0;
+};
+
+/**
+ * Replace a user's recovery codes with a fresh set.
+ * @returns {Promise<string[]>} The new codes (only their hashes are stored)
+ */
+const generateRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+    generateRandomToken(5)
+  );
+
+  await pool.query("DELETE FROM two_factor_recovery_codes WHERE user_id = ?", [
+    userId,
+  ]);
+  await pool.query(
+    "INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ?",
+    [codes.map((code) => [userId, hashToken(code)])]
+  );
+
+  // Present as xxxxx-xxxxx for readability, the dash is ignored on input
+  return codes.map((code) => `${code.slice(0, 5)}-${code.slice(5)}`);
+};
+
+// --- Session Model Functions ---
+
+/**
+ * Issue a refresh token within an existing session.
+ * @param {Object} db - Pool or connection to run the query on
+ * @param {number} userId - Owner of the session
+ * @param {number} sessionId - Session (token family) the token belongs to
+ * @returns {Promise<string>} The raw refresh token (only its hash is stored)
+ */
+const issueRefreshToken = async (db, userId, sessionId) => {
+  const refreshToken = generateRefreshToken();
+  await db.query(
+    "INSERT INTO refresh_tokens (user_id, session_id, token_hash, expires_at) VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))",
+    [userId, sessionId, hashToken(refreshToken), REFRESH_TOKEN_EXPIRY_DAYS]
+  );
+  return refreshToken;
+};
+
+/**
+ * Start a new session for a user, recording the device it came from.
+ * @param {Object} user - The authenticated user
+ * @param {Object} req - Incoming request (for user agent and IP)
+ * @returns {Promise<Object>} Object containing sessionId and refreshToken
+ */
+const createSession = async (user, req) => {
+  const userAgent = (req.get("user-agent") || "").substring(0, 255) || null;
+  const [result] = await pool.query(
+    "INSERT INTO user_sessions (user_id, user_agent, ip_address) VALUES (?, ?, ?)",
+    [user.id, userAgent, req.ip]
+  );
+  const sessionId = result.insertId;
+  const refreshToken = await issueRefreshToken(pool, user.id, sessionId);
+  return { sessionId, refreshToken };
+};
+
+/**
+ * Revoke a session and every refresh token in its family.
+ */
+const revokeSession = async (sessionId, db = pool) => {
+  await db.query(
+    "UPDATE user_sessions SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL",
+    [sessionId]
+  );
+  await db.query(
+    "UPDATE refresh_tokens SET revoked_at = NOW() WHERE session_id = ? AND revoked_at IS NULL",
+    [sessionId]
+  );
+};
+
+/**
+ * Revoke every session of a user ("log out everywhere").
+ */
+const revokeAllSessions = async (userId, db = pool) => {
+  await db.query(
+    "UPDATE user_sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL",
+    [userId]
+  );
+  await db.query(
+    "UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL",
+    [userId]
+  );
+};
+
+/**
+ * Merge the guest cart of the request into the user's account cart. A
+ * failed merge is logged and never fails the sign-in itself.
+ * @returns {Promise<Object|null>} Merge summary, null without a guest cart
+ */
+const claimGuestCart = async (req, res, userId) => {
+  try {
+    return await mergeGuestCart(req, res, userId);
+  } catch (error) {
+    console.error("Guest cart merge error:", error);
+    return null;
+  }
+};
+
 // --- Authentication Controller Functions ---
 
 /**
@@ -165,7 +437,7 @@ const verifyPassword = async (user, password) => {
  */
 const register = async (req, res) => {
   try {
-    const { name, email, password, confirmPassword, isAdmin } = req.body;
+    const { name, email, password, confirmPassword } = req.body;
 
     // Validate input
     if (!name || !email || !password || !confirmPassword) {
@@ -182,43 +454,38 @@ const register = async (req, res) => {
       return res.status(400).json({ message: "Email already in use" });
     }
 
-    let newUser;
-    
-    // If this is an admin registration, create role and user in a transaction
-    if (isAdmin) {
-      const result = await createRoleAndUser(
-        { name: 'admin' },
-        { name, email, password }
-      );
-      newUser = await findUserById(result.userId);
-    } else {
-      // Regular user registration with default role (2 = user)
-      const userId = await createUser({
-        name,
-        email,
-        password,
-      });
-      newUser = await findUserById(userId);
-    }
+    // Public registration always creates a customer, staff accounts are
+    // created through invitations
+    const userId = await createUser({
+      name,
+      email,
+      password,
+    });
+    const newUser = await findUserById(userId);
 
-    // Generate tokens
-    const token = generateToken(newUser);
-    const refreshToken = generateRefreshToken(newUser);
+    // Start a session and generate tokens
+    const { sessionId, refreshToken } = await createSession(newUser, req);
+    const token = generateToken(newUser, sessionId);
 
-    // Store refresh token in database
-    await pool.query(
-      "INSERT INTO refresh_tokens (user_id, token, expires_at) VALUES (?, ?, DATE_ADD(NOW(), INTERVAL 7 DAY))",
-      [newUser.id, refreshToken]
-    );
+    // Send the verification email, a mail failure shouldn't undo the signup
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (mailError) {
+      console.error("Verification email error:", mailError);
+    }
+
+    // Anything added to the cart before signing up moves to the account
+    const cartMerge = await claimGuestCart(req, res, newUser.id);
 
     // Remove sensitive data before sending response
-    delete newUser.password;
+    sanitizeUser(newUser);
 
-    res.status(201).json({
+    sendAuthResponse(req, res, 201, {
       message: "User registered successfully",
       user: newUser,
       token,
       refreshToken,
+      ...(cartMerge && { cartMerge }),
     });
   } catch (error) {
     console.error("Registration error:", error);
@@ -242,36 +509,97 @@ const login = async (req, res) => {
         .json({ message: "Email and password are required" });
     }
 
+    // Throttle clients that keep failing, whichever account they target
+    const ipRetryAfter = await getIpRetryAfter(req.ip);
+    if (ipRetryAfter > 0) {
+      await recordLoginAttempt({ email, success: false, reason: "ip_throttled" }, req);
+      res.set("Retry-After", String(ipRetryAfter));
+      return res.status(429).json({
+        message: "Too many login attempts. Please try again later",
+        retryAfter: ipRetryAfter,
+      });
+    }
+
     // Find user by email
     const user = await findUserByEmail(email);
     if (!user) {
+      await recordLoginAttempt({ email, success: false, reason: "unknown_email" }, req);
       return res.status(401).json({ message: "Invalid credentials" });
     }
 
+    // Refuse locked accounts until the lockout expires
+    if (user.locked_until && new Date(user.locked_until) > new Date()) {
+      await recordLoginAttempt(
+        { userId: user.id, email, success: false, reason: "locked" },
+        req
+      );
+      return res.status(423).json({
+        message: "Account is temporarily locked due to too many failed login attempts",
+        lockedUntil: user.locked_until,
+      });
+    }
+
+    // Progressive delay between attempts on the same account
+    const accountRetryAfter = await getAccountRetryAfter(user);
+    if (accountRetryAfter > 0) {
+      await recordLoginAttempt(
+        { userId: user.id, email, success: false, reason: "throttled" },
+        req
+      );
+      res.set("Retry-After", String(accountRetryAfter));
+      return res.status(429).json({
+        message: "Too many login attempts. Please try again later",
+        retryAfter: accountRetryAfter,
+      });
+    }
+
     // Verify password
     const isPasswordValid = await verifyPassword(user, password);
     if (!isPasswordValid) {
+      await registerFailedLogin(user.id);
+      await recordLoginAttempt(
+        { userId: user.id, email, success: false, reason: "invalid_password" },
+        req
+      );
       return res.status(401).json({ message: "Invalid credentials" });
     }
 
-    // Generate tokens
-    const token = generateToken(user);
-    const refreshToken = generateRefreshToken(user);
+    // Deactivated accounts can't sign in, even with the right password
+    if (user.deactivated_at) {
+      await recordLoginAttempt(
+        { userId: user.id, email, success: false, reason: "deactivated" },
+        req
+      );
+      return res.status(403).json({ message: "Account has been deactivated" });
+    }
+
+    // Accounts with 2FA continue at /login/2fa with a challenge token
+    if (user.two_factor_enabled_at) {
+      return res.json({
+        message: "Two-factor authentication required",
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallenge(user),
+      });
+    }
 
-    // Store refresh token in database
-    await pool.query(
-      "INSERT INTO refresh_tokens (user_id, token, expires_at) VALUES (?, ?, DATE_ADD(NOW(), INTERVAL 7 DAY))",
-      [user.id, refreshToken]
-    );
+    await resetFailedLogins(user.id);
+    await recordLoginAttempt({ userId: user.id, email, success: true }, req);
+
+    // Start a session and generate tokens
+    const { sessionId, refreshToken } = await createSession(user, req);
+    const token = generateToken(user, sessionId);
+
+    const cartMerge = await claimGuestCart(req, res, user.id);
 
     // Remove sensitive data before sending response
-    delete user.password;
+    sanitizeUser(user);
 
-    res.json({
+    sendAuthResponse(req, res, 200, {
       message: "Login successful",
       user,
       token,
       refreshToken,
+      ...(cartMerge && { cartMerge }),
     });
   } catch (error) {
     console.error("Login error:", error);
@@ -281,74 +609,225 @@ const login = async (req, res) => {
   }
 };
 
+/**
+ * Complete a two-factor login with a TOTP or recovery code.
+ */
+const loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        message: "Challenge token and authentication code are required",
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyTwoFactorChallenge(challengeToken);
+    } catch (error) {
+      return res
+        .status(401)
+        .json({ message: "Invalid or expired challenge token" });
+    }
+
+    const user = await findUserById(decoded.id);
+    if (!user || !user.two_factor_enabled_at) {
+      return res
+        .status(401)
+        .json({ message: "Invalid or expired challenge token" });
+    }
+
+    if (user.deactivated_at) {
+      return res.status(403).json({ message: "Account has been deactivated" });
+    }
+
+    if (user.locked_until && new Date(user.locked_until) > new Date()) {
+      return res.status(423).json({
+        message: "Account is temporarily locked due to too many failed login attempts",
+        lockedUntil: user.locked_until,
+      });
+    }
+
+    const isCodeValid = code
+      ? await verifyTotpCode(user, code, user.two_factor_secret)
+      : await useRecoveryCode(user.id, recoveryCode);
+
+    if (!isCodeValid) {
+      await registerFailedLogin(user.id);
+      await recordLoginAttempt(
+        { userId: user.id, email: user.email, success: false, reason: "invalid_2fa_code" },
+        req
+      );
+      return res.status(401).json({ message: "Invalid authentication code" });
+    }
+
+    await resetFailedLogins(user.id);
+    await recordLoginAttempt(
+      { userId: user.id, email: user.email, success: true },
+      req
+    );
+
+    // Start a session and generate tokens
+    const { sessionId, refreshToken } = await createSession(user, req);
+    const token = generateToken(user, sessionId);
+
+    const cartMerge = await claimGuestCart(req, res, user.id);
+
+    // Remove sensitive data before sending response
+    sanitizeUser(user);
+
+    sendAuthResponse(req, res, 200, {
+      message: "Login successful",
+      user,
+      token,
+      refreshToken,
+      ...(cartMerge && { cartMerge }),
+    });
+  } catch (error) {
+    console.error("Two-factor login error:", error);
+    res.status(500).json({
+      message: "Error during login",
+    });
+  }
+};
+
 // --- Token Controller Functions ---
 
 /**
  * Refresh access token.
+ * Refresh tokens are rotated on every use. Presenting a token that has
+ * already been rotated means it was copied, so the whole family is revoked.
  */
 const refreshToken = async (req, res) => {
+  let connection;
   try {
-    const { refreshToken } = req.body;
+    const refreshToken = getRefreshTokenFromRequest(req);
 
     if (!refreshToken) {
       return res.status(400).json({ message: "Refresh token is required" });
     }
 
-    // Find the refresh token in database
-    const [tokens] = await pool.query(
-      "SELECT * FROM refresh_tokens WHERE token = ? AND expires_at > NOW()",
-      [refreshToken]
-    );
-
-    if (!tokens.length) {
-      return res
-        .status(403)
-        .json({ message: "Invalid or expired refresh token" });
+    // Cookie-based refreshes are state-changing and need the CSRF header too
+    if (req.authViaCookie && !isCsrfValid(req)) {
+      return res.status(403).json({ message: "Invalid CSRF token" });
     }
 
-    const token = tokens[0];
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
 
-    // Get user data
-    const user = await findUserById(token.user_id);
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
-    }
+    let result;
+    try {
+      // Find the refresh token and its session in database
+      const [tokens] = await connection.query(
+        `SELECT rt.*, rt.expires_at <= NOW() AS is_expired, s.revoked_at AS session_revoked_at
+         FROM refresh_tokens rt
+         JOIN user_sessions s ON rt.session_id = s.id
+         WHERE rt.token_hash = ?
+         FOR UPDATE`,
+        [hashToken(refreshToken)]
+      );
 
-    // Generate new access token
-    const newAccessToken = generateToken(user);
-    const newRefreshToken = generateRefreshToken(user);
+      const token = tokens[0];
 
-    // Update refresh token in database
-    await pool.query(
-      "UPDATE refresh_tokens SET token = ?, expires_at = DATE_ADD(NOW(), INTERVAL 7 DAY) WHERE id = ?",
-      [newRefreshToken, token.id]
-    );
+      if (token && token.revoked_at && !token.session_revoked_at) {
+        // Reuse of a rotated token: revoke the whole family
+        await revokeSession(token.session_id, connection);
+        await connection.commit();
+        console.warn(
+          `Refresh token reuse detected for user ${token.user_id}, session ${token.session_id} revoked`
+        );
+        return res
+          .status(403)
+          .json({ message: "Refresh token reuse detected, please log in again" });
+      }
 
-    res.json({
-      token: newAccessToken,
-      refreshToken: newRefreshToken,
-    });
+      if (
+        !token ||
+        token.revoked_at ||
+        token.session_revoked_at ||
+        token.is_expired
+      ) {
+        await connection.rollback();
+        return res
+          .status(403)
+          .json({ message: "Invalid or expired refresh token" });
+      }
+
+      // Get user data
+      const user = await findUserById(token.user_id);
+      if (!user) {
+        await connection.rollback();
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      if (user.deactivated_at) {
+        await connection.rollback();
+        return res.status(403).json({ message: "Account has been deactivated" });
+      }
+
+      // Rotate: retire the presented token and issue its successor
+      await connection.query(
+        "UPDATE refresh_tokens SET revoked_at = NOW() WHERE id = ?",
+        [token.id]
+      );
+      const newRefreshToken = await issueRefreshToken(
+        connection,
+        user.id,
+        token.session_id
+      );
+      await connection.query(
+        "UPDATE user_sessions SET last_used_at = NOW() WHERE id = ?",
+        [token.session_id]
+      );
+
+      await connection.commit();
+
+      result = {
+        token: generateToken(user, token.session_id),
+        refreshToken: newRefreshToken,
+      };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+
+    sendAuthResponse(req, res, 200, result);
   } catch (error) {
     console.error("Refresh token error:", error);
     res.status(500).json({
       message: "Error refreshing token",
     });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
   }
 };
 
 /**
- * Logout (revoke refresh token).
+ * Logout (revoke the current session).
  */
 const logout = async (req, res) => {
   try {
-    const { refreshToken } = req.body;
+    const refreshToken = getRefreshTokenFromRequest(req);
 
+    let sessionId = req.sessionId;
     if (refreshToken) {
-      await pool.query("DELETE FROM refresh_tokens WHERE token = ?", [
-        refreshToken,
-      ]);
+      const [tokens] = await pool.query(
+        "SELECT session_id FROM refresh_tokens WHERE token_hash = ? AND user_id = ?",
+        [hashToken(refreshToken), req.user.id]
+      );
+      if (tokens.length) {
+        sessionId = tokens[0].session_id;
+      }
     }
 
+    if (sessionId) {
+      await revokeSession(sessionId);
+    }
+
+    clearAuthCookies(res);
     res.json({ message: "Logged out successfully" });
   } catch (error) {
     console.error("Logout error:", error);
@@ -358,8 +837,279 @@ const logout = async (req, res) => {
   }
 };
 
-// --- User Profile Controller Functions ---
-
+/**
+ * Logout from every device (revoke all sessions of the current user).
+ */
+const logoutAll = async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.id);
+    clearAuthCookies(res);
+    res.json({ message: "Logged out from all devices" });
+  } catch (error) {
+    console.error("Logout all error:", error);
+    res.status(500).json({
+      message: "Error during logout",
+    });
+  }
+};
+
+// --- Session Controller Functions ---
+
+/**
+ * List the active sessions of the current user.
+ */
+const getSessions = async (req, res) => {
+  try {
+    const [sessions] = await pool.query(
+      `SELECT s.id, s.user_agent, s.ip_address, s.created_at, s.last_used_at
+       FROM user_sessions s
+       WHERE s.user_id = ? AND s.revoked_at IS NULL
+         AND EXISTS (
+           SELECT 1 FROM refresh_tokens rt
+           WHERE rt.session_id = s.id AND rt.revoked_at IS NULL AND rt.expires_at > NOW()
+         )
+       ORDER BY s.last_used_at DESC`,
+      [req.user.id]
+    );
+
+    res.json(
+      sessions.map((session) => ({
+        ...session,
+        current: session.id === req.sessionId,
+      }))
+    );
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    res.status(500).json({ message: "Error fetching sessions" });
+  }
+};
+
+/**
+ * Revoke one of the current user's sessions.
+ */
+const deleteSession = async (req, res) => {
+  try {
+    const [sessions] = await pool.query(
+      "SELECT id FROM user_sessions WHERE id = ? AND user_id = ? AND revoked_at IS NULL",
+      [req.params.id, req.user.id]
+    );
+
+    if (!sessions.length) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    await revokeSession(sessions[0].id);
+
+    res.json({ message: "Session revoked successfully" });
+  } catch (error) {
+    console.error("Delete session error:", error);
+    res.status(500).json({ message: "Error revoking session" });
+  }
+};
+
+// --- Email Verification Controller Functions ---
+
+/**
+ * Verify an email address using the token from the verification email.
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    if (!token) {
+      return res.status(400).json({ message: "Verification token is required" });
+    }
+
+    const [tokens] = await pool.query(
+      "SELECT * FROM email_verification_tokens WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()",
+      [hashToken(token)]
+    );
+
+    if (!tokens.length) {
+      return res
+        .status(400)
+        .json({ message: "Invalid or expired verification token" });
+    }
+
+    const verificationToken = tokens[0];
+
+    // Mark the token as used, guarding against a concurrent request
+    const [result] = await pool.query(
+      "UPDATE email_verification_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL",
+      [verificationToken.id]
+    );
+
+    if (!result.affectedRows) {
+      return res
+        .status(400)
+        .json({ message: "Invalid or expired verification token" });
+    }
+
+    await pool.query(
+      "UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = ?",
+      [verificationToken.user_id]
+    );
+
+    res.json({ message: "Email verified successfully" });
+  } catch (error) {
+    console.error("Verify email error:", error);
+    res.status(500).json({
+      message: "Error verifying email",
+    });
+  }
+};
+
+/**
+ * Resend the verification email to the current user.
+ */
+const resendVerification = async (req, res) => {
+  try {
+    const user = await findUserById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.email_verified_at) {
+      return res.status(400).json({ message: "Email is already verified" });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ message: "Verification email sent" });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res.status(500).json({
+      message: "Error sending verification email",
+    });
+  }
+};
+
+// --- Password Reset Controller Functions ---
+
+/**
+ * Request a password reset email.
+ * Always responds with the same message so the endpoint can't be used to
+ * discover which emails are registered.
+ */
+const forgotPassword = async (req, res) => {
+  const genericResponse = {
+    message:
+      "If an account exists for that email, a password reset link has been sent",
+  };
+
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    const user = await findUserByEmail(email);
+    if (!user) {
+      return res.json(genericResponse);
+    }
+
+    // Invalidate any reset tokens that are still outstanding
+    await pool.query(
+      "UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL",
+      [user.id]
+    );
+
+    const resetToken = generateRandomToken();
+    await pool.query(
+      "INSERT INTO password_reset_tokens (user_id, token_hash, expires_at) VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))",
+      [user.id, hashToken(resetToken), RESET_TOKEN_EXPIRY_MINUTES]
+    );
+
+    const resetUrl = `${CLIENT_URL}/reset-password?token=${resetToken}`;
+    await sendMail({
+      to: user.email,
+      subject: "Reset your password",
+      text: `Hi ${user.name},\n\nWe received a request to reset your password. Use the link below to choose a new one:\n\n${resetUrl}\n\nThis link expires in ${RESET_TOKEN_EXPIRY_MINUTES} minutes and can only be used once. If you didn't request a reset, you can ignore this email.`,
+    });
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({
+      message: "Error requesting password reset",
+    });
+  }
+};
+
+/**
+ * Reset password using a reset token.
+ * The token is single-use and every refresh token of the user is revoked.
+ */
+const resetPassword = async (req, res) => {
+  let connection;
+  try {
+    const { token, password, confirmPassword } = req.body;
+
+    if (!token || !password || !confirmPassword) {
+      return res.status(400).json({ message: "All fields are required" });
+    }
+
+    if (password !== confirmPassword) {
+      return res.status(400).json({ message: "Passwords do not match" });
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    try {
+      const [tokens] = await connection.query(
+        "SELECT * FROM password_reset_tokens WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW() FOR UPDATE",
+        [hashToken(token)]
+      );
+
+      if (!tokens.length) {
+        await connection.rollback();
+        return res
+          .status(400)
+          .json({ message: "Invalid or expired reset token" });
+      }
+
+      const resetToken = tokens[0];
+      const hashedPassword = await bcrypt.hash(password, 10);
+
+      await connection.query("UPDATE users SET password = ? WHERE id = ?", [
+        hashedPassword,
+        resetToken.user_id,
+      ]);
+
+      await connection.query(
+        "UPDATE password_reset_tokens SET used_at = NOW() WHERE id = ?",
+        [resetToken.id]
+      );
+
+      // Sign the user out of every session
+      await revokeAllSessions(resetToken.user_id, connection);
+
+      // Proving ownership of the email also lifts any lockout
+      await resetFailedLogins(resetToken.user_id, connection);
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+
+    res.json({ message: "Password has been reset successfully" });
+  } catch (error) {
+    console.error("Reset password error:", error);
+    res.status(500).json({
+      message: "Error resetting password",
+    });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+};
+
+// --- User Profile Controller Functions ---
+
 /**
  * Get current user profile.
  */
@@ -371,7 +1121,7 @@ const getProfile = async (req, res) => {
     }
 
     // Remove sensitive data before sending response
-    delete user.password;
+    sanitizeUser(user);
 
     res.json(user);
   } catch (error) {
@@ -383,29 +1133,71 @@ const getProfile = async (req, res) => {
 };
 
 /**
- * Update user profile.
+ * Update user profile. Fields that aren't given keep their value. A new
+ * email address has to be verified again.
  */
 const updateProfile = async (req, res) => {
   try {
-    const { name, email } = req.body;
     const userId = req.user.id;
+    const user = await findUserById(userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
 
-    // Update user in database
-    await pool.query("UPDATE users SET name = ?, email = ? WHERE id = ?", [
-      name,
-      email,
-      userId,
-    ]);
+    let { name = user.name, email = user.email } = req.body;
+    if (typeof name !== "string" || !name.trim() || name.trim().length > 100) {
+      return res
+        .status(400)
+        .json({ message: "Name is required and must be at most 100 characters" });
+    }
+    if (
+      typeof email !== "string" ||
+      email.trim().length > 100 ||
+      !EMAIL_PATTERN.test(email.trim())
+    ) {
+      return res.status(400).json({ message: "A valid email address is required" });
+    }
+    name = name.trim();
+    email = email.trim();
+
+    const emailChanged = email.toLowerCase() !== user.email.toLowerCase();
+
+    // Update user in database, a changed email is unverified until confirmed
+    await pool.query(
+      `UPDATE users SET name = ?, email = ?${
+        emailChanged ? ", email_verified_at = NULL" : ""
+      } WHERE id = ?`,
+      [name, email, userId]
+    );
 
     // Get updated user data
     const updatedUser = await findUserById(userId);
-    delete updatedUser.password;
+
+    // Send the verification email to the new address, a mail failure
+    // shouldn't undo the update (it can be resent)
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(
+          updatedUser,
+          "Your email address was changed. Please confirm it using the link below:"
+        );
+      } catch (mailError) {
+        console.error("Verification email error:", mailError);
+      }
+    }
+
+    sanitizeUser(updatedUser);
 
     res.json({
-      message: "Profile updated successfully",
+      message: emailChanged
+        ? "Profile updated successfully, please verify your new email address"
+        : "Profile updated successfully",
       user: updatedUser,
     });
   } catch (error) {
+    if (error.code === "ER_DUP_ENTRY") {
+      return res.status(409).json({ message: "Email already in use" });
+    }
     console.error("Update profile error:", error);
     res.status(500).json({
       message: "Error updating profile",
@@ -413,42 +1205,209 @@ const updateProfile = async (req, res) => {
   }
 };
 
-// --- Role Controller Functions ---
+/**
+ * Get the login history of the current user.
+ */
+const getLoginHistory = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const [attempts] = await pool.query(
+      `SELECT id, ip_address, user_agent, success, failure_reason, created_at
+       FROM login_attempts
+       WHERE user_id = ?
+       ORDER BY created_at DESC
+       LIMIT ?`,
+      [req.user.id, limit]
+    );
+
+    res.json(
+      attempts.map((attempt) => ({ ...attempt, success: !!attempt.success }))
+    );
+  } catch (error) {
+    console.error("Get login history error:", error);
+    res.status(500).json({
+      message: "Error fetching login history",
+    });
+  }
+};
+
+// --- Account Lockout Controller Functions ---
 
 /**
- * Middleware to check if user has the required role.
+ * Unlock an account locked by failed logins (admin only).
  */
-const checkRole = (role) => {
-  return async (req, res, next) => {
-    try {
-      const user = await findUserById(req.user.id);
-      const [roleData] = await pool.query(
-        "SELECT name FROM roles WHERE id = ?",
-        [user.role_id]
-      );
+const unlockAccount = async (req, res) => {
+  try {
+    const user = await findUserById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
 
-      if (!roleData.length || roleData[0].name !== role) {
-        return res.status(403).json({ message: "Access denied" });
-      }
+    await resetFailedLogins(user.id);
 
-      next();
-    } catch (error) {
-      console.error("Role check error:", error);
-      return res.status(500).json({ message: "Error checking user role" });
+    res.json({ message: "Account unlocked successfully" });
+  } catch (error) {
+    console.error("Unlock account error:", error);
+    res.status(500).json({ message: "Error unlocking account" });
+  }
+};
+
+// --- Two-Factor Controller Functions ---
+
+/**
+ * Start 2FA enrollment: generate a secret and its otpauth:// URI.
+ * The secret stays pending until confirmed with a valid code.
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await findUserById(req.user.id);
+
+    if (user.two_factor_enabled_at) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already enabled" });
     }
-  };
+
+    const secret = authenticator.generateSecret();
+    await pool.query(
+      "UPDATE users SET two_factor_secret = ?, two_factor_last_counter = NULL WHERE id = ?",
+      [secret, user.id]
+    );
+
+    res.json({
+      secret,
+      otpauthUrl: authenticator.keyuri(user.email, TWO_FACTOR_ISSUER, secret),
+    });
+  } catch (error) {
+    console.error("Two-factor setup error:", error);
+    res.status(500).json({ message: "Error setting up two-factor authentication" });
+  }
 };
 
 /**
- * Get all roles (admin only).
+ * Confirm 2FA enrollment with a code and issue recovery codes.
  */
-const getRoles = async (req, res) => {
+const confirmTwoFactor = async (req, res) => {
   try {
-    const [roles] = await pool.query("SELECT * FROM roles");
-    res.json(roles);
+    const { code } = req.body;
+    const user = await findUserById(req.user.id);
+
+    if (user.two_factor_enabled_at) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    if (!user.two_factor_secret) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor setup has not been started" });
+    }
+
+    const isCodeValid = await verifyTotpCode(user, code, user.two_factor_secret);
+    if (!isCodeValid) {
+      return res.status(400).json({ message: "Invalid authentication code" });
+    }
+
+    await pool.query(
+      "UPDATE users SET two_factor_enabled_at = NOW() WHERE id = ?",
+      [user.id]
+    );
+    const recoveryCodes = await generateRecoveryCodes(user.id);
+
+    res.json({
+      message: "Two-factor authentication enabled",
+      recoveryCodes,
+    });
+  } catch (error) {
+    console.error("Two-factor confirm error:", error);
+    res.status(500).json({ message: "Error enabling two-factor authentication" });
+  }
+};
+
+/**
+ * Replace the recovery codes (requires a current TOTP code).
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await findUserById(req.user.id);
+
+    if (!user.two_factor_enabled_at) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    const isCodeValid = await verifyTotpCode(user, code, user.two_factor_secret);
+    if (!isCodeValid) {
+      return res.status(400).json({ message: "Invalid authentication code" });
+    }
+
+    const recoveryCodes = await generateRecoveryCodes(user.id);
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    console.error("Regenerate recovery codes error:", error);
+    res.status(500).json({ message: "Error generating recovery codes" });
+  }
+};
+
+/**
+ * Disable 2FA (requires the password and a TOTP or recovery code).
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = await findUserById(req.user.id);
+
+    if (!user.two_factor_enabled_at) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        message: "Password and authentication code are required",
+      });
+    }
+
+    const [role] = await pool.query(
+      "SELECT require_two_factor FROM roles WHERE id = ?",
+      [user.role_id]
+    );
+    if (role.length && role[0].require_two_factor) {
+      return res.status(403).json({
+        message: "Two-factor authentication is required for your role",
+      });
+    }
+
+    const isPasswordValid = await verifyPassword(user, password);
+    const isCodeValid =
+      isPasswordValid &&
+      (code
+        ? await verifyTotpCode(user, code, user.two_factor_secret)
+        : await useRecoveryCode(user.id, recoveryCode));
+
+    if (!isCodeValid) {
+      return res
+        .status(401)
+        .json({ message: "Invalid password or authentication code" });
+    }
+
+    await pool.query(
+      "UPDATE users SET two_factor_secret = NULL, two_factor_enabled_at = NULL, two_factor_last_counter = NULL WHERE id = ?",
+      [user.id]
+    );
+    await pool.query("DELETE FROM two_factor_recovery_codes WHERE user_id = ?", [
+      user.id,
+    ]);
+
+    res.json({ message: "Two-factor authentication disabled" });
   } catch (error) {
-    console.error("Get roles error:", error);
-    res.status(500).json({ message: "Error fetching roles" });
+    console.error("Two-factor disable error:", error);
+    res.status(500).json({ message: "Error disabling two-factor authentication" });
   }
 };
 
@@ -456,15 +1415,31 @@ const getRoles = async (req, res) => {
 
 module.exports = {
   createUser,
+  sanitizeUser,
+  sendAuthResponse,
+  createSession,
   findUserByEmail,
   findUserById,
   verifyPassword,
+  revokeAllSessions,
   register,
   login,
+  loginTwoFactor,
   refreshToken,
   logout,
+  logoutAll,
+  getSessions,
+  deleteSession,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
   getProfile,
   updateProfile,
-  checkRole,
-  getRoles,
+  getLoginHistory,
+  unlockAccount,
+  setupTwoFactor,
+  confirmTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
 };
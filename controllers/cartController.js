@@ -1,43 +1,276 @@
 const pool = require('../config/db');
+const { findPurchasable, heldStockSql } = require('../services/inventory');
+const {
+  RESERVATION_MINUTES,
+  releaseCartReservations,
+  getCartReservation,
+  reserveCart
+} = require('../services/reservations');
+const { priceSql } = require('../services/pricing');
+const { findCoupon, evaluateCoupon } = require('../services/coupons');
+const { calculateTotals } = require('../services/orderTotals');
+const { TAX_INCLUSIVE } = require('../services/tax');
+const {
+  GUEST_CART_TTL_DAYS,
+  getGuestCartId,
+  setCartToken,
+  clearCartToken
+} = require('../middleware/auth');
 
-// @desc    Get or create user's cart
+const productPrice = priceSql('p');
+const variantPrice = priceSql('v', { variant: true });
+
+// Find the cart of a request: the signed-in user's cart, or the guest cart
+// of the cart token. Guest carts get a fresh token and a later expiry on
+// every use. Returns null when there is no cart and create is false.
+const resolveCart = async (db, req, res, { create = false } = {}) => {
+  if (req.user) {
+    const [carts] = await db.query('SELECT * FROM carts WHERE user_id = ?', [req.user.id]);
+    if (carts.length || !create) {
+      return carts[0] || null;
+    }
+    const [result] = await db.query('INSERT INTO carts (user_id) VALUES (?)', [req.user.id]);
+    return { id: result.insertId, user_id: req.user.id };
+  }
+
+  let cart = null;
+  const guestCartId = getGuestCartId(req);
+  if (guestCartId) {
+    const [carts] = await db.query(
+      'SELECT * FROM carts WHERE id = ? AND user_id IS NULL AND expires_at > NOW()',
+      [guestCartId]
+    );
+    cart = carts[0] || null;
+  }
+
+  if (cart) {
+    await db.query(
+      'UPDATE carts SET expires_at = DATE_ADD(NOW(), INTERVAL ? DAY) WHERE id = ?',
+      [GUEST_CART_TTL_DAYS, cart.id]
+    );
+  } else if (create) {
+    const [result] = await db.query(
+      'INSERT INTO carts (user_id, expires_at) VALUES (NULL, DATE_ADD(NOW(), INTERVAL ? DAY))',
+      [GUEST_CART_TTL_DAYS]
+    );
+    cart = { id: result.insertId, user_id: null };
+  } else {
+    return null;
+  }
+
+  setCartToken(req, res, cart.id);
+  return cart;
+};
+
+// Get the items of a cart with product details. price is the current unit
+// price (the same one checkout charges), regularPrice the price before any sale.
+const loadCartItems = async (db, cartId) => {
+  const [items] = await db.query(
+    `SELECT ci.*, p.name, p.category_id as categoryId,
+            CASE WHEN v.id IS NULL THEN ${productPrice.current} ELSE ${variantPrice.current} END as price,
+            CASE WHEN v.id IS NULL THEN ${productPrice.regular} ELSE ${variantPrice.regular} END as regularPrice,
+            p.image_url as imageUrl,
+            COALESCE(v.stock, p.stock) as stock,
+            GREATEST(COALESCE(v.stock, p.stock) - ${heldStockSql('ci.product_id', 'ci.variant_id', { excludeCartId: 'ci.cart_id' })}, 0) as availableStock,
+            v.sku, v.options as variantOptions
+     FROM cart_items ci
+     JOIN products p ON ci.product_id = p.id
+     LEFT JOIN product_variants v ON ci.variant_id = v.id
+     WHERE ci.cart_id = ?`,
+    [cartId]
+  );
+
+  for (const item of items) {
+    item.availableStock = parseInt(item.availableStock);
+    item.price = parseFloat(item.price);
+    item.regularPrice = parseFloat(item.regularPrice);
+    item.onSale = item.price < item.regularPrice;
+  }
+  return items;
+};
+
+// Cart items as the lines calculateTotals and evaluateCoupon work on
+const toPricedLines = (items) => items.map(item => ({
+  key: item.id,
+  productId: item.product_id,
+  categoryId: item.categoryId,
+  price: item.price,
+  quantity: item.quantity
+}));
+
+/**
+ * Move the guest cart of a request into a user's cart (on login or
+ * registration). Quantities of the same item are combined up to the stock
+ * available and items that can no longer be bought are dropped.
+ * @param {Object} req - Request carrying the cart token
+ * @param {Object} res - Response, the cart token cookie is cleared
+ * @param {number} userId - ID of the user who signed in
+ * @returns {Promise<Object|null>} { merged, adjusted, removed } or null without a guest cart
+ */
+const mergeGuestCart = async (req, res, userId) => {
+  const guestCartId = getGuestCartId(req);
+  if (!guestCartId) {
+    return null;
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [guestCarts] = await connection.query(
+      'SELECT id, coupon_id FROM carts WHERE id = ? AND user_id IS NULL AND expires_at > NOW() FOR UPDATE',
+      [guestCartId]
+    );
+    if (!guestCarts.length) {
+      await connection.rollback();
+      clearCartToken(req, res);
+      return null;
+    }
+
+    const [guestItems] = await connection.query(
+      'SELECT * FROM cart_items WHERE cart_id = ? ORDER BY id',
+      [guestCartId]
+    );
+
+    const cart = await resolveCart(connection, { user: { id: userId } }, res, { create: true });
+    // The account cart changes, so a checkout in progress has to start over
+    await releaseCartReservations(connection, cart.id);
+    const summary = { merged: 0, adjusted: [], removed: [] };
+
+    for (const item of guestItems) {
+      const purchasable = await findPurchasable(connection, item.product_id, item.variant_id);
+      if (purchasable.error) {
+        summary.removed.push({ productId: item.product_id, variantId: item.variant_id, reason: purchasable.error });
+        continue;
+      }
+
+      const [existingItems] = await connection.query(
+        'SELECT * FROM cart_items WHERE cart_id = ? AND product_id = ? AND variant_id <=> ? FOR UPDATE',
+        [cart.id, item.product_id, item.variant_id]
+      );
+      const existingQuantity = existingItems.length ? existingItems[0].quantity : 0;
+      const requested = existingQuantity + item.quantity;
+      const quantity = Math.min(requested, purchasable.available);
+
+      if (quantity <= 0) {
+        summary.removed.push({ productId: item.product_id, variantId: item.variant_id, reason: 'Out of stock' });
+        continue;
+      }
+      if (quantity < requested) {
+        summary.adjusted.push({ productId: item.product_id, variantId: item.variant_id, requested, quantity });
+      }
+      if (quantity <= existingQuantity) {
+        continue;
+      }
+
+      if (existingItems.length) {
+        await connection.query(
+          'UPDATE cart_items SET quantity = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [quantity, existingItems[0].id]
+        );
+      } else {
+        await connection.query(
+          'INSERT INTO cart_items (cart_id, product_id, variant_id, quantity) VALUES (?, ?, ?, ?)',
+          [cart.id, item.product_id, item.variant_id, quantity]
+        );
+      }
+      summary.merged++;
+    }
+
+    // A coupon entered as a guest carries over unless the account cart has one
+    if (guestCarts[0].coupon_id) {
+      await connection.query(
+        'UPDATE carts SET coupon_id = COALESCE(coupon_id, ?) WHERE id = ?',
+        [guestCarts[0].coupon_id, cart.id]
+      );
+    }
+
+    await connection.query('DELETE FROM carts WHERE id = ?', [guestCartId]);
+    await connection.commit();
+
+    clearCartToken(req, res);
+    return summary;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Delete guest carts (and their items) that haven't been used for
+ * GUEST_CART_TTL_DAYS.
+ * @returns {Promise<number>} Number of carts deleted
+ */
+const deleteExpiredGuestCarts = async () => {
+  const [result] = await pool.query(
+    'DELETE FROM carts WHERE user_id IS NULL AND expires_at <= NOW()'
+  );
+  return result.affectedRows;
+};
+
+// @desc    Get or create the user's cart, or get the guest cart
 // @route   GET /api/cart
-// @access  Private
+// @query   city, zip (shipping region to estimate tax for; without it only
+//          tax rates that apply everywhere are included)
+// @access  Public (guests are identified by their cart token)
 const getCart = async (req, res, next) => {
   const connection = await pool.getConnection();
   try {
     await connection.beginTransaction();
     
-    const userId = req.user.id;
-    
-    // Find or create cart for user
-    let [carts] = await connection.query(
-      'SELECT * FROM carts WHERE user_id = ?',
-      [userId]
-    );
-    
-    let cart = carts[0];
+    // Guest carts are only created once something is added to them
+    const cart = await resolveCart(connection, req, res, { create: Boolean(req.user) });
     
     if (!cart) {
-      // Create new cart if it doesn't exist
-      const [result] = await connection.query(
-        'INSERT INTO carts (user_id) VALUES (?)',
-        [userId]
-      );
-      cart = { id: result.insertId, user_id: userId };
+      await connection.commit();
+      return res.json({
+        success: true,
+        data: {
+          id: null,
+          userId: null,
+          guest: true,
+          items: [],
+          subtotal: 0,
+          discounts: [],
+          discount: 0,
+          shipping: 0,
+          tax: 0,
+          taxInclusive: TAX_INCLUSIVE,
+          taxRegion: null,
+          total: 0,
+          savings: 0,
+          itemCount: 0,
+          coupon: null
+        }
+      });
     }
     
     // Get cart items with product details
-    const [items] = await connection.query(
-      `SELECT ci.*, p.name, p.price, p.image_url as imageUrl, p.stock 
-       FROM cart_items ci
-       JOIN products p ON ci.product_id = p.id
-       WHERE ci.cart_id = ?`,
-      [cart.id]
-    );
+    const items = await loadCartItems(connection, cart.id);
+    
+    // Calculate subtotal, coupon discounts, shipping and total. A coupon that
+    // stopped applying stays on the cart with the reason, without discount.
+    const { city, zip } = req.query;
+    const totals = await calculateTotals(connection, {
+      items: toPricedLines(items),
+      couponId: cart.coupon_id,
+      userId: cart.user_id,
+      region: { city, zip }
+    });
+    for (const item of items) {
+      const taxLine = totals.taxes.find(line => line.key === item.id);
+      item.tax = taxLine ? { name: taxLine.name, rate: taxLine.rate, amount: taxLine.amount } : null;
+    }
+    const regularTotal = items.reduce((sum, item) => sum + (item.regularPrice * item.quantity), 0);
+    
+    const [coupon] = cart.coupon_id
+      ? await connection.query('SELECT code FROM coupons WHERE id = ?', [cart.coupon_id])
+      : [[]];
     
-    // Calculate total
-    const total = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+    // Checkout in progress, if any (guests can't check out)
+    const reservation = cart.user_id ? await getCartReservation(connection, cart.id) : null;
     
     await connection.commit();
     
@@ -46,9 +279,21 @@ const getCart = async (req, res, next) => {
       data: {
         id: cart.id,
         userId: cart.user_id,
+        guest: !cart.user_id,
+        ...(!cart.user_id && { cartToken: req.cartToken }),
         items,
-        total: parseFloat(total.toFixed(2)),
-        itemCount: items.reduce((count, item) => count + item.quantity, 0)
+        subtotal: totals.subtotal,
+        discounts: totals.discounts,
+        discount: totals.discount,
+        shipping: totals.shipping,
+        tax: totals.tax,
+        taxInclusive: totals.taxInclusive,
+        taxRegion: city || zip ? { city: city || null, zip: zip || null } : null,
+        total: totals.total,
+        savings: parseFloat((regularTotal - totals.subtotal).toFixed(2)),
+        itemCount: items.reduce((count, item) => count + item.quantity, 0),
+        coupon: coupon.length ? { code: coupon[0].code, error: totals.couponError } : null,
+        reservation
       }
     });
     
@@ -62,75 +307,66 @@ const getCart = async (req, res, next) => {
 
 // @desc    Add item to cart
 // @route   POST /api/cart/items
-// @access  Private
+// @access  Public (guests are identified by their cart token)
 const addToCart = async (req, res, next) => {
   const connection = await pool.getConnection();
   try {
     await connection.beginTransaction();
     
-    const userId = req.user.id;
-    const { productId, quantity = 1 } = req.body;
+    const { productId, variantId = null, quantity = 1 } = req.body;
     
     // Validate input
     if (!productId || quantity < 1) {
+      await connection.rollback();
       return res.status(400).json({
         success: false,
         message: 'Product ID and valid quantity are required'
       });
     }
     
-    // Check if product exists and is in stock
-    const [products] = await connection.query(
-      'SELECT * FROM products WHERE id = ?',
-      [productId]
-    );
+    // Get or create cart
+    const cart = await resolveCart(connection, req, res, { create: true });
     
-    if (products.length === 0) {
-      return res.status(404).json({
+    // Changing the cart ends a checkout in progress and its stock holds
+    await releaseCartReservations(connection, cart.id);
+    
+    // Check if product (or the chosen variant) exists and is in stock
+    const purchasable = await findPurchasable(connection, productId, variantId);
+    
+    if (purchasable.error) {
+      await connection.rollback();
+      return res.status(purchasable.status).json({
         success: false,
-        message: 'Product not found'
+        message: purchasable.error
       });
     }
     
-    const product = products[0];
+    // Stock held by other customers' checkouts isn't available
+    const stock = purchasable.available;
     
-    if (product.stock < quantity) {
+    if (stock < quantity) {
+      await connection.rollback();
       return res.status(400).json({
         success: false,
-        message: `Only ${product.stock} items available in stock`
+        message: `Only ${stock} items available in stock`
       });
     }
     
-    // Get or create cart
-    let [carts] = await connection.query(
-      'SELECT * FROM carts WHERE user_id = ?',
-      [userId]
-    );
-    
-    let cart = carts[0];
-    
-    if (!cart) {
-      const [result] = await connection.query(
-        'INSERT INTO carts (user_id) VALUES (?)',
-        [userId]
-      );
-      cart = { id: result.insertId, user_id: userId };
-    }
-    
     // Check if item already in cart
     const [existingItems] = await connection.query(
-      'SELECT * FROM cart_items WHERE cart_id = ? AND product_id = ?',
-      [cart.id, productId]
+      'SELECT * FROM cart_items WHERE cart_id = ? AND product_id = ? AND variant_id <=> ?',
+      [cart.id, productId, variantId]
     );
     
     if (existingItems.length > 0) {
       // Update quantity if item already in cart
       const newQuantity = existingItems[0].quantity + quantity;
       
-      if (product.stock < newQuantity) {
+      if (stock < newQuantity) {
+        await connection.rollback();
         return res.status(400).json({
           success: false,
-          message: `Only ${product.stock - existingItems[0].quantity} more items available in stock`
+          message: `Only ${stock - existingItems[0].quantity} more items available in stock`
         });
       }
       
@@ -141,8 +377,8 @@ const addToCart = async (req, res, next) => {
     } else {
       // Add new item to cart
       await connection.query(
-        'INSERT INTO cart_items (cart_id, product_id, quantity) VALUES (?, ?, ?)',
-        [cart.id, productId, quantity]
+        'INSERT INTO cart_items (cart_id, product_id, variant_id, quantity) VALUES (?, ?, ?, ?)',
+        [cart.id, productId, variantId, quantity]
       );
     }
     
@@ -153,6 +389,13 @@ const addToCart = async (req, res, next) => {
     
   } catch (error) {
     await connection.rollback();
+    // A concurrent request added the same item first
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        success: false,
+        message: 'Your cart was updated at the same time, please try again'
+      });
+    }
     next(error);
   } finally {
     connection.release();
@@ -161,35 +404,43 @@ const addToCart = async (req, res, next) => {
 
 // @desc    Update cart item quantity
 // @route   PUT /api/cart/items/:itemId
-// @access  Private
+// @access  Public (guests are identified by their cart token)
 const updateCartItem = async (req, res, next) => {
   const connection = await pool.getConnection();
   try {
     await connection.beginTransaction();
     
-    const userId = req.user.id;
     const { itemId } = req.params;
     const { quantity } = req.body;
     
     // Validate input
     if (quantity === undefined || quantity < 0) {
+      await connection.rollback();
       return res.status(400).json({
         success: false,
         message: 'Valid quantity is required'
       });
     }
     
-    // Get cart item with product details
-    const [items] = await connection.query(
-      `SELECT ci.*, p.stock 
+    const cart = await resolveCart(connection, req, res);
+    
+    // Changing the cart ends a checkout in progress and its stock holds
+    if (cart) {
+      await releaseCartReservations(connection, cart.id);
+    }
+    
+    // Get cart item with product details and the stock other checkouts don't hold
+    const [items] = cart ? await connection.query(
+      `SELECT ci.*, COALESCE(v.stock, p.stock) - ${heldStockSql('ci.product_id', 'ci.variant_id')} as stock 
        FROM cart_items ci
-       JOIN carts c ON ci.cart_id = c.id
        JOIN products p ON ci.product_id = p.id
-       WHERE ci.id = ? AND c.user_id = ?`,
-      [itemId, userId]
-    );
+       LEFT JOIN product_variants v ON ci.variant_id = v.id
+       WHERE ci.id = ? AND ci.cart_id = ?`,
+      [itemId, cart.id]
+    ) : [[]];
     
     if (items.length === 0) {
+      await connection.rollback();
       return res.status(404).json({
         success: false,
         message: 'Cart item not found'
@@ -207,9 +458,10 @@ const updateCartItem = async (req, res, next) => {
     } else {
       // Check stock
       if (cartItem.stock < quantity) {
+        await connection.rollback();
         return res.status(400).json({
           success: false,
-          message: `Only ${cartItem.stock} items available in stock`
+          message: `Only ${Math.max(cartItem.stock, 0)} items available in stock`
         });
       }
       
@@ -235,35 +487,35 @@ const updateCartItem = async (req, res, next) => {
 
 // @desc    Remove item from cart
 // @route   DELETE /api/cart/items/:itemId
-// @access  Private
+// @access  Public (guests are identified by their cart token)
 const removeFromCart = async (req, res, next) => {
   const connection = await pool.getConnection();
   try {
     await connection.beginTransaction();
     
-    const userId = req.user.id;
     const { itemId } = req.params;
     
-    // Check if item exists in user's cart
-    const [items] = await connection.query(
-      `SELECT ci.* FROM cart_items ci
-       JOIN carts c ON ci.cart_id = c.id
-       WHERE ci.id = ? AND c.user_id = ?`,
-      [itemId, userId]
-    );
+    // Check if item exists in the request's cart
+    const cart = await resolveCart(connection, req, res);
+    const [items] = cart ? await connection.query(
+      'SELECT * FROM cart_items WHERE id = ? AND cart_id = ?',
+      [itemId, cart.id]
+    ) : [[]];
     
     if (items.length === 0) {
+      await connection.rollback();
       return res.status(404).json({
         success: false,
         message: 'Cart item not found'
       });
     }
     
-    // Remove item from cart
+    // Remove item from cart, which ends a checkout in progress
     await connection.query(
       'DELETE FROM cart_items WHERE id = ?',
       [itemId]
     );
+    await releaseCartReservations(connection, cart.id);
     
     await connection.commit();
     
@@ -280,34 +532,31 @@ const removeFromCart = async (req, res, next) => {
 
 // @desc    Clear cart
 // @route   DELETE /api/cart
-// @access  Private
+// @access  Public (guests are identified by their cart token)
 const clearCart = async (req, res, next) => {
   const connection = await pool.getConnection();
   try {
     await connection.beginTransaction();
     
-    const userId = req.user.id;
+    // Get the request's cart
+    const cart = await resolveCart(connection, req, res);
     
-    // Get user's cart
-    const [carts] = await connection.query(
-      'SELECT id FROM carts WHERE user_id = ?',
-      [userId]
-    );
-    
-    if (carts.length === 0) {
+    if (!cart) {
+      await connection.rollback();
       return res.json({
         success: true,
         message: 'Cart is already empty'
       });
     }
     
-    const cartId = carts[0].id;
+    const cartId = cart.id;
     
-    // Remove all items from cart
+    // Remove all items from cart, which ends a checkout in progress
     await connection.query(
       'DELETE FROM cart_items WHERE cart_id = ?',
       [cartId]
     );
+    await releaseCartReservations(connection, cartId);
     
     await connection.commit();
     
@@ -324,10 +573,189 @@ const clearCart = async (req, res, next) => {
   }
 };
 
+// @desc    Apply a coupon code to the cart (replaces any coupon applied before)
+// @route   POST /api/cart/coupon
+// @body    { code }
+// @access  Public (guests are identified by their cart token)
+const applyCoupon = async (req, res, next) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    
+    const { code } = req.body;
+    
+    if (!code || typeof code !== 'string') {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon code is required'
+      });
+    }
+    
+    const cart = await resolveCart(connection, req, res);
+    const items = cart ? await loadCartItems(connection, cart.id) : [];
+    
+    if (!items.length) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Your cart is empty'
+      });
+    }
+    
+    const coupon = await findCoupon(connection, { code });
+    
+    if (!coupon) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Invalid coupon code'
+      });
+    }
+    
+    // Guests' per-customer limits are checked when they place the order
+    const result = await evaluateCoupon(connection, coupon, {
+      items: toPricedLines(items),
+      shipping: 0,
+      userId: cart.user_id
+    });
+    
+    if (result.error) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+    
+    await connection.query('UPDATE carts SET coupon_id = ? WHERE id = ?', [coupon.id, cart.id]);
+    
+    await connection.commit();
+    
+    // Return updated cart
+    return getCart(req, res, next);
+    
+  } catch (error) {
+    await connection.rollback();
+    next(error);
+  } finally {
+    connection.release();
+  }
+};
+
+// @desc    Remove the coupon from the cart
+// @route   DELETE /api/cart/coupon
+// @access  Public (guests are identified by their cart token)
+const removeCoupon = async (req, res, next) => {
+  try {
+    const cart = await resolveCart(pool, req, res);
+    
+    if (cart) {
+      await pool.query('UPDATE carts SET coupon_id = NULL WHERE id = ?', [cart.id]);
+    }
+    
+    // Return updated cart
+    return getCart(req, res, next);
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Start checkout: hold the cart's quantities for RESERVATION_MINUTES.
+//          Orders can only be placed against an active reservation.
+// @route   POST /api/cart/checkout
+// @access  Private
+const startCheckout = async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Please sign in to check out'
+    });
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    
+    const cart = await resolveCart(connection, req, res);
+    const [items] = cart
+      ? await connection.query('SELECT COUNT(*) AS count FROM cart_items WHERE cart_id = ?', [cart.id])
+      : [[{ count: 0 }]];
+    
+    if (!items[0].count) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Your cart is empty'
+      });
+    }
+    
+    const { reservation, shortages } = await reserveCart(connection, cart, req.user.id);
+    
+    if (shortages) {
+      await connection.rollback();
+      return res.status(409).json({
+        success: false,
+        message: 'Some items are no longer available in the requested quantity',
+        shortages
+      });
+    }
+    
+    await connection.commit();
+    
+    res.status(201).json({
+      success: true,
+      message: `Your items are reserved for ${RESERVATION_MINUTES} minutes`,
+      data: reservation
+    });
+    
+  } catch (error) {
+    await connection.rollback();
+    next(error);
+  } finally {
+    connection.release();
+  }
+};
+
+// @desc    Cancel checkout and release the reserved stock
+// @route   DELETE /api/cart/checkout
+// @access  Private
+const cancelCheckout = async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Please sign in to check out'
+    });
+  }
+
+  try {
+    const cart = await resolveCart(pool, req, res);
+    
+    if (cart) {
+      await releaseCartReservations(pool, cart.id);
+    }
+    
+    res.json({
+      success: true,
+      message: 'Reservation released'
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
+  mergeGuestCart,
+  deleteExpiredGuestCarts,
   getCart,
   addToCart,
   updateCartItem,
   removeFromCart,
-  clearCart
+  clearCart,
+  applyCoupon,
+  removeCoupon,
+  startCheckout,
+  cancelCheckout
 };
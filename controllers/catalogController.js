@@ -0,0 +1,506 @@
+const { once } = require('events');
+const pool = require('../config/db');
+const { parseCsv, toCsvLine } = require('../services/csv');
+const { PRODUCT_STATUSES } = require('./productController');
+const { validateVariant } = require('./variantController');
+const { resolveCategory } = require('./categoryController');
+const { recordStockMovement, setStock } = require('../services/inventory');
+
+const MAX_IMPORT_ROWS = parseInt(process.env.MAX_IMPORT_ROWS) || 5000;
+
+// Columns of the catalog file format, shared by import and export.
+// Rows without a sku describe a product (no id creates one), rows with a sku
+// describe a variant of product id. Variant rows only use sku, options,
+// price and stock; imageUrls is ignored on import.
+const CATALOG_COLUMNS = [
+  'id', 'sku', 'name', 'category', 'status', 'description',
+  'price', 'stock', 'options', 'keyFeatures', 'imageUrls'
+];
+
+// Separator of list values (keyFeatures, imageUrls) inside a CSV cell
+const LIST_SEPARATOR = '|';
+
+// Read the rows of an uploaded CSV/JSON file, or of a JSON body { rows: [...] }
+const readImportRows = (req) => {
+  if (!req.file) {
+    return { rows: req.body.rows, format: 'json' };
+  }
+
+  const text = req.file.buffer.toString('utf8');
+  if (req.file.originalname.toLowerCase().endsWith('.json')) {
+    const data = JSON.parse(text);
+    return { rows: Array.isArray(data) ? data : data.rows, format: 'json' };
+  }
+  return { rows: parseCsv(text), format: 'csv' };
+};
+
+// Turn a CSV or JSON row into typed fields. Empty cells are left undefined,
+// which means "keep the current value" for updates.
+const normalizeRow = (row) => {
+  const errors = [];
+  const value = (key) => {
+    const raw = row[key];
+    if (raw === undefined || raw === null) {
+      return undefined;
+    }
+    if (typeof raw === 'string') {
+      return raw.trim() === '' ? undefined : raw.trim();
+    }
+    return raw;
+  };
+
+  const fields = {
+    id: value('id'),
+    sku: value('sku') !== undefined ? String(value('sku')) : undefined,
+    name: value('name') !== undefined ? String(value('name')) : undefined,
+    category: value('category'),
+    status: value('status'),
+    description: value('description'),
+    price: value('price'),
+    stock: value('stock'),
+    options: value('options'),
+    keyFeatures: value('keyFeatures')
+  };
+
+  if (fields.id !== undefined) {
+    if (!/^\d+$/.test(String(fields.id))) {
+      errors.push('id must be a positive integer');
+    }
+    fields.id = parseInt(fields.id);
+  }
+  if (fields.price !== undefined) {
+    if (isNaN(Number(fields.price)) || Number(fields.price) < 0) {
+      errors.push('price must be a non-negative number');
+    }
+    fields.price = Number(fields.price);
+  }
+  if (fields.stock !== undefined) {
+    if (!Number.isInteger(Number(fields.stock)) || Number(fields.stock) < 0) {
+      errors.push('stock must be a non-negative integer');
+    }
+    fields.stock = Number(fields.stock);
+  }
+  if (fields.status !== undefined && !PRODUCT_STATUSES.includes(fields.status)) {
+    errors.push(`status must be one of: ${PRODUCT_STATUSES.join(', ')}`);
+  }
+  if (fields.name !== undefined && fields.name.length > 255) {
+    errors.push('name must be at most 255 characters');
+  }
+  if (typeof fields.options === 'string') {
+    try {
+      fields.options = JSON.parse(fields.options);
+    } catch (e) {
+      errors.push('options must be a JSON object, e.g. {"size": "250g"}');
+    }
+  }
+  if (typeof fields.keyFeatures === 'string') {
+    fields.keyFeatures = fields.keyFeatures.split(LIST_SEPARATOR).map(feature => feature.trim()).filter(Boolean);
+  } else if (fields.keyFeatures !== undefined &&
+      (!Array.isArray(fields.keyFeatures) || !fields.keyFeatures.every(feature => typeof feature === 'string'))) {
+    errors.push('keyFeatures must be a list of strings');
+  }
+
+  return { fields, errors };
+};
+
+// Validate every row against the database and decide what it will do:
+// createProduct, updateProduct, createVariant or updateVariant
+const planImport = async (db, rows, { firstRowNumber }) => {
+  const normalized = rows.map(row => normalizeRow(row && typeof row === 'object' ? row : {}));
+
+  const skus = normalized.map(({ fields }) => fields.sku).filter(Boolean);
+  const ids = normalized.map(({ fields }) => fields.id).filter(Number.isInteger);
+
+  const [variants] = skus.length
+    ? await db.query('SELECT id, sku, product_id FROM product_variants WHERE sku IN (?)', [skus])
+    : [[]];
+  const [products] = ids.length
+    ? await db.query('SELECT id FROM products WHERE id IN (?)', [ids])
+    : [[]];
+
+  const variantsBySku = new Map(variants.map(variant => [variant.sku, variant]));
+  const productIds = new Set(products.map(product => product.id));
+  const categories = new Map();
+  const seenSkus = new Set();
+  const seenIds = new Set();
+
+  const plans = [];
+  for (const [index, { fields, errors }] of normalized.entries()) {
+    const plan = { row: index + firstRowNumber, fields, errors };
+    plans.push(plan);
+
+    if (fields.sku) {
+      if (seenSkus.has(fields.sku)) {
+        errors.push(`SKU ${fields.sku} appears more than once`);
+      }
+      seenSkus.add(fields.sku);
+
+      const variant = variantsBySku.get(fields.sku);
+      if (variant) {
+        plan.action = 'updateVariant';
+        plan.variantId = variant.id;
+        if (fields.id !== undefined && fields.id !== variant.product_id) {
+          errors.push(`SKU ${fields.sku} belongs to product ${variant.product_id}`);
+        }
+        plan.id = variant.product_id;
+      } else {
+        plan.action = 'createVariant';
+        plan.id = fields.id;
+        if (fields.id === undefined || !productIds.has(fields.id)) {
+          errors.push('A new SKU needs the id of an existing product');
+        }
+      }
+
+      const variantError = validateVariant(
+        {
+          sku: fields.sku,
+          options: fields.options,
+          price: fields.price,
+          stock: plan.action === 'createVariant' && fields.stock === undefined ? 0 : fields.stock
+        },
+        plan.action === 'updateVariant'
+      );
+      if (variantError && !errors.length) {
+        errors.push(variantError);
+      }
+      continue;
+    }
+
+    if (fields.id !== undefined) {
+      plan.action = 'updateProduct';
+      plan.id = fields.id;
+      if (seenIds.has(fields.id)) {
+        errors.push(`Product ${fields.id} appears more than once`);
+      }
+      seenIds.add(fields.id);
+      if (!productIds.has(fields.id)) {
+        errors.push(`Product with ID ${fields.id} not found`);
+      }
+    } else {
+      plan.action = 'createProduct';
+      const missing = ['name', 'category', 'price', 'stock'].filter(key => fields[key] === undefined);
+      if (missing.length) {
+        errors.push(`Missing required fields for a new product: ${missing.join(', ')}`);
+      }
+    }
+
+    if (fields.category !== undefined) {
+      const key = String(fields.category);
+      if (!categories.has(key)) {
+        const isId = /^\d+$/.test(key);
+        categories.set(key, await resolveCategory(db, isId ? { categoryId: key } : { category: key }));
+      }
+      plan.category = categories.get(key);
+      if (!plan.category) {
+        errors.push(`Category ${key} not found`);
+      }
+    }
+  }
+
+  return plans;
+};
+
+// Write one validated row, returns the product ID it touched. Stock changes
+// are recorded in the stock ledger with the importing user.
+const applyImportRow = async (db, plan, userId) => {
+  const { fields } = plan;
+  const movement = { reason: 'import', userId, note: `Import row ${plan.row}` };
+
+  if (plan.action === 'createProduct') {
+    const [result] = await db.query(
+      'INSERT INTO products (name, category_id, category, description, price, stock, key_features, status) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      [
+        fields.name,
+        plan.category.id,
+        plan.category.name,
+        fields.description || '',
+        fields.price,
+        fields.stock,
+        JSON.stringify(fields.keyFeatures || []),
+        fields.status || 'active'
+      ]
+    );
+    if (fields.stock > 0) {
+      await recordStockMovement(db, { productId: result.insertId }, fields.stock, fields.stock, movement);
+    }
+    return result.insertId;
+  }
+
+  if (plan.action === 'updateProduct') {
+    const columns = {
+      name: fields.name,
+      category_id: plan.category ? plan.category.id : undefined,
+      category: plan.category ? plan.category.name : undefined,
+      description: fields.description,
+      price: fields.price,
+      key_features: fields.keyFeatures ? JSON.stringify(fields.keyFeatures) : undefined,
+      status: fields.status
+    };
+    const updates = Object.entries(columns).filter(([, value]) => value !== undefined);
+    if (updates.length) {
+      await db.query(
+        `UPDATE products SET ${updates.map(([column]) => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...updates.map(([, value]) => value), plan.id]
+      );
+    }
+    if (fields.stock !== undefined) {
+      await setStock(db, { productId: plan.id }, fields.stock, movement);
+    }
+    return plan.id;
+  }
+
+  if (plan.action === 'createVariant') {
+    const [result] = await db.query(
+      'INSERT INTO product_variants (product_id, sku, options, price, stock) VALUES (?, ?, ?, ?, ?)',
+      [plan.id, fields.sku, JSON.stringify(fields.options), fields.price, fields.stock || 0]
+    );
+    if (fields.stock > 0) {
+      await recordStockMovement(db, { productId: plan.id, variantId: result.insertId }, fields.stock, fields.stock, movement);
+    }
+    return plan.id;
+  }
+
+  const columns = {
+    options: fields.options ? JSON.stringify(fields.options) : undefined,
+    price: fields.price
+  };
+  const updates = Object.entries(columns).filter(([, value]) => value !== undefined);
+  if (updates.length) {
+    await db.query(
+      `UPDATE product_variants SET ${updates.map(([column]) => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...updates.map(([, value]) => value), plan.variantId]
+    );
+  }
+  if (fields.stock !== undefined) {
+    await setStock(db, { productId: plan.id, variantId: plan.variantId }, fields.stock, movement);
+  }
+  return plan.id;
+};
+
+// @desc    Import products and variants from CSV or JSON. Every row is
+//          validated first; nothing is written if any row is invalid or
+//          when dryRun is set.
+// @route   POST /api/products/import
+// @body    multipart "file" (.csv or .json) or JSON { rows: [...] }, dryRun=true to only validate
+// @access  Private (products:write)
+const importProducts = async (req, res, next) => {
+  let rows;
+  let format;
+  try {
+    ({ rows, format } = readImportRows(req));
+  } catch (error) {
+    return res.status(400).json({ success: false, message: `Could not parse import file: ${error.message}` });
+  }
+
+  if (!Array.isArray(rows) || !rows.length) {
+    return res.status(400).json({ success: false, message: 'No rows to import' });
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return res.status(400).json({ success: false, message: `An import can contain at most ${MAX_IMPORT_ROWS} rows` });
+  }
+
+  const dryRun = [true, 'true'].includes(req.query.dryRun) || [true, 'true'].includes(req.body.dryRun);
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    // Row numbers match spreadsheet lines for CSV (the header is line 1)
+    const plans = await planImport(connection, rows, { firstRowNumber: format === 'csv' ? 2 : 1 });
+    const errors = plans
+      .filter(plan => plan.errors.length)
+      .map(plan => ({ row: plan.row, errors: plan.errors }));
+
+    if (!dryRun && !errors.length) {
+      for (const plan of plans) {
+        plan.id = await applyImportRow(connection, plan, req.user.id);
+      }
+      await connection.commit();
+    } else {
+      await connection.rollback();
+    }
+
+    const summary = {
+      rows: plans.length,
+      invalid: errors.length,
+      ...['createProduct', 'updateProduct', 'createVariant', 'updateVariant'].reduce((counts, action) => ({
+        ...counts,
+        [action]: plans.filter(plan => plan.action === action).length
+      }), {})
+    };
+
+    let message = `Imported ${plans.length} rows`;
+    if (errors.length) {
+      message = `${errors.length} rows have errors, nothing was imported`;
+    } else if (dryRun) {
+      message = `All ${plans.length} rows are valid`;
+    }
+
+    res.status(errors.length && !dryRun ? 400 : 200).json({
+      success: !errors.length,
+      dryRun,
+      message,
+      summary,
+      errors,
+      rows: plans.map(plan => ({
+        row: plan.row,
+        action: plan.action,
+        id: plan.id,
+        sku: plan.fields.sku
+      }))
+    });
+  } catch (error) {
+    await connection.rollback();
+    next(error);
+  } finally {
+    connection.release();
+  }
+};
+
+// One product or variant as a catalog row (lists and options unformatted)
+const toCatalogEntry = (row, variant) => {
+  if (variant) {
+    return {
+      id: row.id,
+      sku: row.sku,
+      name: row.name,
+      category: null,
+      status: null,
+      description: null,
+      price: parseFloat(row.variant_price),
+      stock: row.variant_stock,
+      options: typeof row.options === 'string' ? JSON.parse(row.options) : row.options,
+      keyFeatures: [],
+      imageUrls: []
+    };
+  }
+
+  const parseList = (list) => (typeof list === 'string' ? JSON.parse(list) : list) || [];
+  return {
+    id: row.id,
+    sku: null,
+    name: row.name,
+    category: row.category,
+    status: row.status,
+    description: row.description || '',
+    price: parseFloat(row.price),
+    stock: row.stock,
+    options: null,
+    keyFeatures: parseList(row.key_features),
+    imageUrls: parseList(row.image_urls)
+  };
+};
+
+const toCsvEntry = (entry) => toCsvLine(CATALOG_COLUMNS.map(column => {
+  const value = entry[column];
+  if (Array.isArray(value)) {
+    return value.join(LIST_SEPARATOR);
+  }
+  if (value && typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return value;
+}));
+
+// @desc    Stream the full catalog (products, their variants, key features
+//          and image URLs) in the import format
+// @route   GET /api/products/export
+// @query   format (csv or json, default csv)
+// @access  Private (products:write)
+const exportProducts = async (req, res, next) => {
+  const format = req.query.format || 'csv';
+  if (!['csv', 'json'].includes(format)) {
+    return res.status(400).json({ success: false, message: 'Invalid format. Allowed values: csv, json' });
+  }
+
+  // One result row per variant (or one for a product without variants),
+  // streamed from the database instead of loading the catalog in memory
+  const stream = pool.pool.query(
+    `SELECT p.id, p.name, p.category, p.status, p.description, p.price, p.stock, p.key_features,
+            (SELECT JSON_ARRAYAGG(ordered.url)
+             FROM (SELECT i.url FROM product_images i WHERE i.product_id = p.id ORDER BY i.sort_order, i.id) ordered
+            ) AS image_urls,
+            v.id AS variant_id, v.sku, v.options, v.price AS variant_price, v.stock AS variant_stock
+     FROM products p
+     LEFT JOIN product_variants v ON v.product_id = p.id
+     ORDER BY p.id, v.sort_order, v.id`
+  ).stream();
+
+  // A client that disconnects mid-export never drains the response, stop
+  // the query then so its pool connection is released
+  let aborted = false;
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      aborted = true;
+      stream.destroy();
+    }
+  });
+
+  const write = async (chunk) => {
+    if (!aborted && !res.write(chunk)) {
+      const waiting = new AbortController();
+      try {
+        await Promise.race([
+          once(res, 'drain', { signal: waiting.signal }),
+          once(res, 'close', { signal: waiting.signal })
+        ]);
+      } finally {
+        waiting.abort();
+      }
+    }
+    if (aborted) {
+      throw new Error('Client disconnected during the export');
+    }
+  };
+
+  try {
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="catalog-${date}.${format}"`);
+
+    let lastProductId = null;
+    let entryCount = 0;
+    const writeEntry = async (entry) => {
+      if (format === 'csv') {
+        await write(toCsvEntry(entry));
+      } else {
+        await write(`${entryCount ? ',\n' : ''}${JSON.stringify(entry)}`);
+      }
+      entryCount++;
+    };
+
+    await write(format === 'csv' ? toCsvLine(CATALOG_COLUMNS) : '[\n');
+
+    for await (const row of stream) {
+      if (row.id !== lastProductId) {
+        lastProductId = row.id;
+        await writeEntry(toCatalogEntry(row, false));
+      }
+      if (row.variant_id) {
+        await writeEntry(toCatalogEntry(row, true));
+      }
+    }
+
+    if (format === 'json') {
+      await write('\n]\n');
+    }
+    res.end();
+  } catch (error) {
+    stream.destroy();
+    if (aborted) {
+      return;
+    }
+    if (!res.headersSent) {
+      return next(error);
+    }
+    // The response is already partly sent, abort it so the file is
+    // visibly incomplete rather than silently truncated
+    console.error('Error exporting catalog:', error);
+    res.destroy(error);
+  }
+};
+
+module.exports = {
+  importProducts,
+  exportProducts
+};
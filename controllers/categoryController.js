@@ -0,0 +1,404 @@
+const pool = require('../config/db');
+
+// Turn a name into a URL-friendly slug ("Dark Chocolate" -> "dark-chocolate")
+const slugify = (text) => {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+// Shape a categories row for API responses
+const formatCategory = (category) => ({
+  id: category.id,
+  name: category.name,
+  slug: category.slug,
+  parentId: category.parent_id,
+  description: category.description || '',
+  sortOrder: category.sort_order,
+  createdAt: category.created_at,
+  updatedAt: category.updated_at
+});
+
+// Find a category by ID or slug
+const findCategory = async (db, idOrSlug) => {
+  const [categories] = await db.query(
+    'SELECT * FROM categories WHERE id = ? OR slug = ?',
+    [/^\d+$/.test(String(idOrSlug)) ? parseInt(idOrSlug) : null, String(idOrSlug)]
+  );
+  return categories[0] || null;
+};
+
+// Resolve the category of a product from a categoryId, or from a category
+// slug/name for clients that still send the old free-text field
+const resolveCategory = async (db, { categoryId, category }) => {
+  if (categoryId) {
+    return findCategory(db, categoryId);
+  }
+  if (category) {
+    const [categories] = await db.query(
+      'SELECT * FROM categories WHERE slug = ? OR name = ? ORDER BY slug = ? DESC LIMIT 1',
+      [slugify(category), String(category).trim(), slugify(category)]
+    );
+    return categories[0] || null;
+  }
+  return null;
+};
+
+// IDs of a category and everything below it
+const getDescendantIds = async (db, categoryId) => {
+  const [rows] = await db.query(
+    `WITH RECURSIVE tree AS (
+       SELECT id FROM categories WHERE id = ?
+       UNION ALL
+       SELECT c.id FROM categories c JOIN tree t ON c.parent_id = t.id
+     )
+     SELECT id FROM tree`,
+    [categoryId]
+  );
+  return rows.map(row => row.id);
+};
+
+// Categories from the root down to the given category
+const getAncestors = async (db, category) => {
+  const [rows] = await db.query(
+    `WITH RECURSIVE path AS (
+       SELECT id, name, slug, parent_id, 0 AS depth FROM categories WHERE id = ?
+       UNION ALL
+       SELECT c.id, c.name, c.slug, c.parent_id, path.depth + 1
+       FROM categories c JOIN path ON c.id = path.parent_id
+     )
+     SELECT id, name, slug FROM path WHERE id <> ? ORDER BY depth DESC`,
+    [category.id, category.id]
+  );
+  return rows;
+};
+
+// Validate category fields, returns an error message or null
+const validateCategory = ({ name, slug, sortOrder }, partial = false) => {
+  if (!partial || name !== undefined) {
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return 'Name is required';
+    }
+    if (name.trim().length > 100) {
+      return 'Name must be at most 100 characters';
+    }
+  }
+  if (slug !== undefined && slug !== null && !slugify(slug)) {
+    return 'Slug must contain at least one letter or number';
+  }
+  if (sortOrder !== undefined && !Number.isInteger(Number(sortOrder))) {
+    return 'Sort order must be an integer';
+  }
+  return null;
+};
+
+// @desc    Get the category tree with product counts
+// @route   GET /api/categories
+// @access  Public
+const getCategoryTree = async (req, res, next) => {
+  try {
+    const [categories] = await pool.query('SELECT * FROM categories ORDER BY sort_order, name');
+    const [counts] = await pool.query(
+      "SELECT category_id, COUNT(*) AS count FROM products WHERE category_id IS NOT NULL AND status = 'active' GROUP BY category_id"
+    );
+    const productCounts = new Map(counts.map(row => [row.category_id, row.count]));
+
+    const nodes = new Map(categories.map(category => [category.id, {
+      ...formatCategory(category),
+      productCount: productCounts.get(category.id) || 0,
+      children: []
+    }]));
+
+    const roots = [];
+    for (const node of nodes.values()) {
+      const parent = node.parentId ? nodes.get(node.parentId) : null;
+      if (parent) {
+        parent.children.push(node);
+      } else {
+        roots.push(node);
+      }
+    }
+
+    // Product counts of a category include everything below it
+    const addTotals = (node) => {
+      node.totalProductCount = node.productCount +
+        node.children.reduce((sum, child) => sum + addTotals(child), 0);
+      return node.totalProductCount;
+    };
+    roots.forEach(addTotals);
+
+    res.json({
+      success: true,
+      count: categories.length,
+      data: roots
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a category with its children and breadcrumb
+// @route   GET /api/categories/:id (ID or slug)
+// @access  Public
+const getCategory = async (req, res, next) => {
+  try {
+    const category = await findCategory(pool, req.params.id);
+
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const [children] = await pool.query(
+      'SELECT * FROM categories WHERE parent_id = ? ORDER BY sort_order, name',
+      [category.id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        ...formatCategory(category),
+        ancestors: await getAncestors(pool, category),
+        children: children.map(formatCategory)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a category
+// @route   POST /api/categories
+// @access  Private (products:write)
+const createCategory = async (req, res, next) => {
+  try {
+    const { name, slug, parentId = null, description = '', sortOrder = 0 } = req.body;
+
+    const validationError = validateCategory({ name, slug, sortOrder });
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    // The parent may be given by ID or slug, its ID is what gets stored
+    let parent = null;
+    if (parentId) {
+      parent = await findCategory(pool, parentId);
+      if (!parent) {
+        return res.status(400).json({ success: false, message: 'Parent category not found' });
+      }
+    }
+
+    const [result] = await pool.query(
+      'INSERT INTO categories (name, slug, parent_id, description, sort_order) VALUES (?, ?, ?, ?, ?)',
+      [name.trim(), slugify(slug || name), parent ? parent.id : null, description, parseInt(sortOrder) || 0]
+    );
+
+    const [category] = await pool.query('SELECT * FROM categories WHERE id = ?', [result.insertId]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: formatCategory(category[0])
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ success: false, message: 'Slug already exists' });
+    }
+    next(error);
+  }
+};
+
+// @desc    Update a category (name, slug, parent, description, sort order)
+// @route   PUT /api/categories/:id
+// @access  Private (products:write)
+const updateCategory = async (req, res, next) => {
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    const category = await findCategory(connection, req.params.id);
+
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const { name, slug, parentId, description, sortOrder } = req.body;
+
+    const validationError = validateCategory({ name, slug, sortOrder }, true);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    // A category can't be moved below itself or one of its descendants.
+    // The parent may be given by ID or slug, its ID is what gets stored.
+    let parent = null;
+    if (parentId) {
+      parent = await findCategory(connection, parentId);
+      if (!parent) {
+        return res.status(400).json({ success: false, message: 'Parent category not found' });
+      }
+      const descendantIds = await getDescendantIds(connection, category.id);
+      if (descendantIds.includes(parent.id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'A category cannot be moved below itself or one of its subcategories'
+        });
+      }
+    }
+
+    const newName = name !== undefined ? name.trim() : category.name;
+
+    await connection.beginTransaction();
+
+    await connection.query(
+      'UPDATE categories SET name = ?, slug = ?, parent_id = ?, description = ?, sort_order = ? WHERE id = ?',
+      [
+        newName,
+        slug ? slugify(slug) : category.slug,
+        parentId !== undefined ? (parent ? parent.id : null) : category.parent_id,
+        description !== undefined ? description : category.description,
+        sortOrder !== undefined ? parseInt(sortOrder) : category.sort_order,
+        category.id
+      ]
+    );
+
+    // Keep the legacy category name on products in sync
+    if (newName !== category.name) {
+      await connection.query(
+        'UPDATE products SET category = ? WHERE category_id = ?',
+        [newName, category.id]
+      );
+    }
+
+    await connection.commit();
+
+    const [updated] = await connection.query('SELECT * FROM categories WHERE id = ?', [category.id]);
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      data: formatCategory(updated[0])
+    });
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ success: false, message: 'Slug already exists' });
+    }
+    next(error);
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+};
+
+// @desc    Delete an empty category
+// @route   DELETE /api/categories/:id
+// @access  Private (products:write)
+const deleteCategory = async (req, res, next) => {
+  try {
+    const category = await findCategory(pool, req.params.id);
+
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const [children] = await pool.query(
+      'SELECT COUNT(*) AS count FROM categories WHERE parent_id = ?',
+      [category.id]
+    );
+    const [products] = await pool.query(
+      'SELECT COUNT(*) AS count FROM products WHERE category_id = ?',
+      [category.id]
+    );
+
+    if (children[0].count || products[0].count) {
+      return res.status(400).json({
+        success: false,
+        message: `Category still has ${children[0].count} subcategories and ${products[0].count} products, move or merge them first`
+      });
+    }
+
+    await pool.query('DELETE FROM categories WHERE id = ?', [category.id]);
+    res.json({ success: true, message: 'Category removed' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Merge a category into another one, moving its products and
+//          subcategories, then delete it (used to clean up duplicates)
+// @route   POST /api/categories/:id/merge
+// @access  Private (products:write)
+const mergeCategory = async (req, res, next) => {
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    const { targetId } = req.body;
+
+    const source = await findCategory(connection, req.params.id);
+    if (!source) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const target = targetId ? await findCategory(connection, targetId) : null;
+    if (!target) {
+      return res.status(400).json({ success: false, message: 'Target category not found' });
+    }
+
+    const descendantIds = await getDescendantIds(connection, source.id);
+    if (descendantIds.includes(target.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A category cannot be merged into itself or one of its subcategories'
+      });
+    }
+
+    await connection.beginTransaction();
+
+    const [movedProducts] = await connection.query(
+      'UPDATE products SET category_id = ?, category = ? WHERE category_id = ?',
+      [target.id, target.name, source.id]
+    );
+    const [movedChildren] = await connection.query(
+      'UPDATE categories SET parent_id = ? WHERE parent_id = ?',
+      [target.id, source.id]
+    );
+    await connection.query('DELETE FROM categories WHERE id = ?', [source.id]);
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      message: `Merged ${source.name} into ${target.name}`,
+      data: {
+        productsMoved: movedProducts.affectedRows,
+        subcategoriesMoved: movedChildren.affectedRows
+      }
+    });
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    next(error);
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+};
+
+module.exports = {
+  slugify,
+  resolveCategory,
+  getCategoryTree,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  mergeCategory
+};
@@ -0,0 +1,315 @@
+const pool = require('../config/db');
+const { normalizeCode, countCouponUses, validateCoupon } = require('../services/coupons');
+
+// Shape a coupons row with its eligibility and usage for API responses
+const formatCoupon = (coupon, productIds, categoryIds, uses) => ({
+  id: coupon.id,
+  code: coupon.code,
+  description: coupon.description,
+  type: coupon.type,
+  value: coupon.value !== null ? parseFloat(coupon.value) : null,
+  minSpend: coupon.min_spend !== null ? parseFloat(coupon.min_spend) : null,
+  startsAt: coupon.starts_at,
+  endsAt: coupon.ends_at,
+  usageLimit: coupon.usage_limit,
+  usageLimitPerCustomer: coupon.usage_limit_per_customer,
+  uses,
+  isActive: Boolean(coupon.is_active),
+  productIds,
+  categoryIds,
+  createdAt: coupon.created_at,
+  updatedAt: coupon.updated_at
+});
+
+// Load a coupon with the products and categories it was limited to
+const getCouponDetails = async (db, id) => {
+  const [coupons] = await db.query('SELECT * FROM coupons WHERE id = ?', [id]);
+  if (!coupons.length) {
+    return null;
+  }
+
+  const [products] = await db.query('SELECT product_id FROM coupon_products WHERE coupon_id = ?', [id]);
+  const [categories] = await db.query('SELECT category_id FROM coupon_categories WHERE coupon_id = ?', [id]);
+  return formatCoupon(
+    coupons[0],
+    products.map(row => row.product_id),
+    categories.map(row => row.category_id),
+    await countCouponUses(db, id)
+  );
+};
+
+// Check that every ID exists in a table, returns the missing IDs
+const findMissingIds = async (db, table, ids) => {
+  if (!ids.length) {
+    return [];
+  }
+  const [rows] = await db.query(`SELECT id FROM ${table} WHERE id IN (?)`, [ids]);
+  const found = rows.map(row => row.id);
+  return ids.filter(id => !found.includes(id));
+};
+
+// Replace the products and categories a coupon is limited to. Lists that
+// aren't given are left alone, empty lists remove the restriction.
+const setCouponEligibility = async (db, couponId, { productIds, categoryIds }) => {
+  if (productIds !== undefined) {
+    await db.query('DELETE FROM coupon_products WHERE coupon_id = ?', [couponId]);
+    for (const productId of productIds) {
+      await db.query('INSERT INTO coupon_products (coupon_id, product_id) VALUES (?, ?)', [couponId, productId]);
+    }
+  }
+  if (categoryIds !== undefined) {
+    await db.query('DELETE FROM coupon_categories WHERE coupon_id = ?', [couponId]);
+    for (const categoryId of categoryIds) {
+      await db.query('INSERT INTO coupon_categories (coupon_id, category_id) VALUES (?, ?)', [couponId, categoryId]);
+    }
+  }
+};
+
+// Validate the product and category lists of a request, returns
+// { productIds, categoryIds } (undefined when not given) or { error }
+const resolveEligibility = async (db, body) => {
+  const toIds = (ids) => (ids === undefined ? undefined : [...new Set(ids.map(Number))]);
+  const productIds = toIds(body.productIds);
+  const categoryIds = toIds(body.categoryIds);
+
+  const missingProducts = await findMissingIds(db, 'products', productIds || []);
+  if (missingProducts.length) {
+    return { error: `Products not found: ${missingProducts.join(', ')}` };
+  }
+  const missingCategories = await findMissingIds(db, 'categories', categoryIds || []);
+  if (missingCategories.length) {
+    return { error: `Categories not found: ${missingCategories.join(', ')}` };
+  }
+  return { productIds, categoryIds };
+};
+
+// @desc    List coupons with their usage
+// @route   GET /api/admin/coupons
+// @query   status (active, scheduled, expired or inactive, default all)
+// @access  Private (coupons:manage)
+const getCoupons = async (req, res, next) => {
+  try {
+    const filters = {
+      active: 'is_active = TRUE AND (starts_at IS NULL OR starts_at <= NOW()) AND (ends_at IS NULL OR ends_at > NOW())',
+      scheduled: 'is_active = TRUE AND starts_at > NOW()',
+      expired: 'ends_at <= NOW()',
+      inactive: 'is_active = FALSE'
+    };
+    const { status } = req.query;
+    if (status !== undefined && !filters[status]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Allowed values: ${Object.keys(filters).join(', ')}`
+      });
+    }
+
+    const [coupons] = await pool.query(
+      `SELECT id FROM coupons ${status ? `WHERE ${filters[status]}` : ''} ORDER BY created_at DESC, id DESC`
+    );
+
+    const data = [];
+    for (const coupon of coupons) {
+      data.push(await getCouponDetails(pool, coupon.id));
+    }
+
+    res.json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a coupon
+// @route   POST /api/admin/coupons
+// @body    { code, description?, type, value?, minSpend?, startsAt?, endsAt?,
+//            usageLimit?, usageLimitPerCustomer?, productIds?, categoryIds?, isActive? }
+// @access  Private (coupons:manage)
+const createCoupon = async (req, res, next) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const validationError = validateCoupon(req.body);
+    if (validationError) {
+      await connection.rollback();
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const {
+      description = null,
+      type,
+      value = null,
+      minSpend = null,
+      startsAt = null,
+      endsAt = null,
+      usageLimit = null,
+      usageLimitPerCustomer = null,
+      isActive = true
+    } = req.body;
+    const code = normalizeCode(req.body.code);
+
+    const [existing] = await connection.query('SELECT id FROM coupons WHERE code = ?', [code]);
+    if (existing.length) {
+      await connection.rollback();
+      return res.status(409).json({ success: false, message: `Coupon ${code} already exists` });
+    }
+
+    const eligibility = await resolveEligibility(connection, req.body);
+    if (eligibility.error) {
+      await connection.rollback();
+      return res.status(400).json({ success: false, message: eligibility.error });
+    }
+
+    const [result] = await connection.query(
+      `INSERT INTO coupons (code, description, type, value, min_spend, starts_at, ends_at,
+                            usage_limit, usage_limit_per_customer, is_active, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        code,
+        description,
+        type,
+        type === 'free_shipping' || value === null ? null : parseFloat(value),
+        minSpend === null ? null : parseFloat(minSpend),
+        startsAt ? new Date(startsAt) : null,
+        endsAt ? new Date(endsAt) : null,
+        usageLimit === null ? null : Number(usageLimit),
+        usageLimitPerCustomer === null ? null : Number(usageLimitPerCustomer),
+        Boolean(isActive),
+        req.user.id
+      ]
+    );
+    await setCouponEligibility(connection, result.insertId, eligibility);
+
+    await connection.commit();
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created',
+      data: await getCouponDetails(pool, result.insertId)
+    });
+  } catch (error) {
+    await connection.rollback();
+    next(error);
+  } finally {
+    connection.release();
+  }
+};
+
+// @desc    Update a coupon. Fields that aren't given keep their value.
+// @route   PUT /api/admin/coupons/:id
+// @access  Private (coupons:manage)
+const updateCoupon = async (req, res, next) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [coupons] = await connection.query('SELECT * FROM coupons WHERE id = ? FOR UPDATE', [req.params.id]);
+    if (coupons.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+    const current = coupons[0];
+
+    const validationError = validateCoupon(req.body, true, current);
+    if (validationError) {
+      await connection.rollback();
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const code = req.body.code !== undefined ? normalizeCode(req.body.code) : current.code;
+    if (code !== current.code) {
+      const [existing] = await connection.query('SELECT id FROM coupons WHERE code = ?', [code]);
+      if (existing.length) {
+        await connection.rollback();
+        return res.status(409).json({ success: false, message: `Coupon ${code} already exists` });
+      }
+    }
+
+    const eligibility = await resolveEligibility(connection, req.body);
+    if (eligibility.error) {
+      await connection.rollback();
+      return res.status(400).json({ success: false, message: eligibility.error });
+    }
+
+    const pick = (field, column, parse) => {
+      if (req.body[field] === undefined) {
+        return current[column];
+      }
+      return req.body[field] === null ? null : parse(req.body[field]);
+    };
+    const type = pick('type', 'type', String);
+
+    await connection.query(
+      `UPDATE coupons SET code = ?, description = ?, type = ?, value = ?, min_spend = ?, starts_at = ?,
+                          ends_at = ?, usage_limit = ?, usage_limit_per_customer = ?, is_active = ?
+       WHERE id = ?`,
+      [
+        code,
+        pick('description', 'description', String),
+        type,
+        type === 'free_shipping' ? null : pick('value', 'value', parseFloat),
+        pick('minSpend', 'min_spend', parseFloat),
+        pick('startsAt', 'starts_at', date => new Date(date)),
+        pick('endsAt', 'ends_at', date => new Date(date)),
+        pick('usageLimit', 'usage_limit', Number),
+        pick('usageLimitPerCustomer', 'usage_limit_per_customer', Number),
+        pick('isActive', 'is_active', Boolean),
+        current.id
+      ]
+    );
+    await setCouponEligibility(connection, current.id, eligibility);
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      message: 'Coupon updated',
+      data: await getCouponDetails(pool, current.id)
+    });
+  } catch (error) {
+    await connection.rollback();
+    next(error);
+  } finally {
+    connection.release();
+  }
+};
+
+// @desc    Delete a coupon. Coupons used on orders are deactivated instead so
+//          the orders keep their link to it.
+// @route   DELETE /api/admin/coupons/:id
+// @access  Private (coupons:manage)
+const deleteCoupon = async (req, res, next) => {
+  try {
+    const [coupons] = await pool.query('SELECT id FROM coupons WHERE id = ?', [req.params.id]);
+
+    if (coupons.length === 0) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    const [used] = await pool.query('SELECT COUNT(*) AS count FROM order_discounts WHERE coupon_id = ?', [req.params.id]);
+
+    if (used[0].count > 0) {
+      await pool.query('UPDATE coupons SET is_active = FALSE WHERE id = ?', [req.params.id]);
+      return res.json({
+        success: true,
+        message: 'Coupon has been used on orders and was deactivated instead'
+      });
+    }
+
+    await pool.query('DELETE FROM coupons WHERE id = ?', [req.params.id]);
+
+    res.json({ success: true, message: 'Coupon deleted' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getCoupons,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+};
@@ -0,0 +1,214 @@
+const pool = require('../config/db');
+const {
+  MANUAL_ADJUSTMENT_REASONS,
+  DEFAULT_LOW_STOCK_THRESHOLD,
+  adjustStock
+} = require('../services/inventory');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Shape a stock_movements row (joined with order number and user name) for API responses
+const formatMovement = (movement) => ({
+  id: movement.id,
+  productId: movement.product_id,
+  variantId: movement.variant_id,
+  sku: movement.sku,
+  delta: movement.delta,
+  stockAfter: movement.stock_after,
+  reason: movement.reason,
+  note: movement.note,
+  order: movement.order_id ? { id: movement.order_id, orderNumber: movement.order_number } : null,
+  user: movement.user_id ? { id: movement.user_id, name: movement.user_name } : null,
+  createdAt: movement.created_at
+});
+
+// @desc    List active products and variants at or below their low-stock threshold
+// @route   GET /api/admin/inventory/alerts
+// @access  Private (inventory:manage)
+const getLowStockAlerts = async (req, res, next) => {
+  try {
+    // Products with variants are tracked per variant; a variant without its
+    // own threshold uses the product's, then LOW_STOCK_THRESHOLD
+    const [rows] = await pool.query(
+      `SELECT * FROM (
+         SELECT p.id AS product_id, NULL AS variant_id, p.name, NULL AS sku, NULL AS options, p.stock,
+                COALESCE(p.low_stock_threshold, ?) AS threshold
+         FROM products p
+         WHERE p.status = 'active'
+           AND NOT EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id)
+         UNION ALL
+         SELECT p.id, v.id, p.name, v.sku, v.options, v.stock,
+                COALESCE(v.low_stock_threshold, p.low_stock_threshold, ?)
+         FROM product_variants v
+         JOIN products p ON v.product_id = p.id
+         WHERE p.status = 'active'
+       ) stock_levels
+       WHERE stock <= threshold
+       ORDER BY stock ASC, name ASC`,
+      [DEFAULT_LOW_STOCK_THRESHOLD, DEFAULT_LOW_STOCK_THRESHOLD]
+    );
+
+    res.json({
+      success: true,
+      count: rows.length,
+      data: rows.map(row => ({
+        productId: row.product_id,
+        variantId: row.variant_id,
+        name: row.name,
+        sku: row.sku,
+        options: row.options ? (typeof row.options === 'string' ? JSON.parse(row.options) : row.options) : null,
+        stock: row.stock,
+        threshold: parseInt(row.threshold),
+        outOfStock: row.stock <= 0
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the stock ledger of a product, newest first
+// @route   GET /api/admin/inventory/products/:id/movements
+// @access  Private (inventory:manage)
+const getStockMovements = async (req, res, next) => {
+  try {
+    const [product] = await pool.query('SELECT id, name, stock FROM products WHERE id = ?', [req.params.id]);
+
+    if (product.length === 0) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const conditions = ['m.product_id = ?'];
+    const params = [req.params.id];
+    if (req.query.variantId) {
+      conditions.push('m.variant_id = ?');
+      params.push(req.query.variantId);
+    }
+    if (req.query.reason) {
+      conditions.push('m.reason = ?');
+      params.push(req.query.reason);
+    }
+    const where = `WHERE ${conditions.join(' AND ')}`;
+
+    const [countRows] = await pool.query(`SELECT COUNT(*) AS total FROM stock_movements m ${where}`, params);
+    const total = countRows[0].total;
+
+    const [movements] = await pool.query(
+      `SELECT m.*, o.order_number, u.name AS user_name
+       FROM stock_movements m
+       LEFT JOIN orders o ON m.order_id = o.id
+       LEFT JOIN users u ON m.user_id = u.id
+       ${where}
+       ORDER BY m.created_at DESC, m.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    res.json({
+      success: true,
+      count: movements.length,
+      data: movements.map(formatMovement),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Manually adjust the stock of a product or variant
+// @route   POST /api/admin/inventory/products/:id/adjustments
+// @body    { variantId?, delta: -3, reason: 'damaged', note? }
+// @access  Private (inventory:manage)
+const createStockAdjustment = async (req, res, next) => {
+  const { variantId = null, delta, reason, note = null } = req.body;
+
+  if (!Number.isInteger(Number(delta)) || Number(delta) === 0) {
+    return res.status(400).json({ success: false, message: 'Delta must be a non-zero integer' });
+  }
+  if (!MANUAL_ADJUSTMENT_REASONS.includes(reason)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid reason. Allowed values: ${MANUAL_ADJUSTMENT_REASONS.join(', ')}`
+    });
+  }
+  if (note !== null && typeof note !== 'string') {
+    return res.status(400).json({ success: false, message: 'Note must be a string' });
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    const [product] = await connection.query('SELECT id FROM products WHERE id = ?', [req.params.id]);
+
+    if (product.length === 0) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    if (variantId) {
+      const [variant] = await connection.query(
+        'SELECT id FROM product_variants WHERE id = ? AND product_id = ?',
+        [variantId, req.params.id]
+      );
+      if (variant.length === 0) {
+        return res.status(404).json({ message: 'Variant not found' });
+      }
+    } else {
+      const [variantCount] = await connection.query(
+        'SELECT COUNT(*) AS count FROM product_variants WHERE product_id = ?',
+        [req.params.id]
+      );
+      if (variantCount[0].count > 0) {
+        return res.status(400).json({ success: false, message: 'This product has variants, please choose one' });
+      }
+    }
+
+    await connection.beginTransaction();
+
+    const item = { productId: product[0].id, variantId: variantId ? Number(variantId) : null };
+    const stockAfter = await adjustStock(connection, item, Number(delta), {
+      reason,
+      userId: req.user.id,
+      note: note ? note.trim().slice(0, 255) || null : null
+    });
+
+    if (stockAfter < 0) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `Not enough stock: only ${stockAfter - Number(delta)} in stock`
+      });
+    }
+
+    await connection.commit();
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock adjusted',
+      data: {
+        ...item,
+        delta: Number(delta),
+        reason,
+        stock: stockAfter
+      }
+    });
+  } catch (error) {
+    await connection.rollback();
+    next(error);
+  } finally {
+    connection.release();
+  }
+};
+
+module.exports = {
+  getLowStockAlerts,
+  getStockMovements,
+  createStockAdjustment
+};
@@ -0,0 +1,227 @@
+const pool = require("../config/db");
+const { sendMail } = require("../config/mailer");
+const {
+  generateToken,
+  generateRandomToken,
+  hashToken,
+  canGrantRole,
+} = require("../middleware/auth");
+const {
+  createUser,
+  findUserByEmail,
+  findUserById,
+  sanitizeUser,
+  sendAuthResponse,
+  createSession,
+} = require("./auth");
+
+const CLIENT_URL = process.env.CLIENT_URL || "http://localhost:5173";
+const INVITATION_EXPIRY_DAYS =
+  parseInt(process.env.INVITATION_EXPIRY_DAYS, 10) || 7;
+
+// --- Invitation Controller Functions ---
+
+/**
+ * Invite someone to create a staff account with a given role (admin only).
+ */
+const createInvitation = async (req, res) => {
+  try {
+    const { email, roleId } = req.body;
+
+    if (!email || !roleId) {
+      return res.status(400).json({ message: "Email and roleId are required" });
+    }
+
+    const [roles] = await pool.query("SELECT id, name FROM roles WHERE id = ?", [
+      roleId,
+    ]);
+    if (!roles.length) {
+      return res.status(400).json({ message: "Invalid role specified" });
+    }
+
+    // Same rule as changing a role: no inviting to roles above your own
+    if (!(await canGrantRole(req, roles[0].id))) {
+      return res.status(403).json({
+        message: "You can't invite someone to a role with permissions you don't have",
+      });
+    }
+
+    const existingUser = await findUserByEmail(email);
+    if (existingUser) {
+      return res.status(400).json({
+        message: "An account with this email already exists, change its role instead",
+      });
+    }
+
+    // Only the latest invitation for an email stays valid
+    await pool.query(
+      "UPDATE invitations SET revoked_at = NOW() WHERE email = ? AND accepted_at IS NULL AND revoked_at IS NULL",
+      [email]
+    );
+
+    const invitationToken = generateRandomToken();
+    const [result] = await pool.query(
+      "INSERT INTO invitations (email, role_id, token_hash, invited_by, expires_at) VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))",
+      [email, roles[0].id, hashToken(invitationToken), req.user.id, INVITATION_EXPIRY_DAYS]
+    );
+
+    const inviteUrl = `${CLIENT_URL}/accept-invitation?token=${invitationToken}`;
+    await sendMail({
+      to: email,
+      subject: "You've been invited to join the team",
+      text: `Hi,\n\n${req.user.name} has invited you to create a ${roles[0].name} account. Use the link below to set up your account:\n\n${inviteUrl}\n\nThis invitation expires in ${INVITATION_EXPIRY_DAYS} days.`,
+    });
+
+    res.status(201).json({
+      message: "Invitation sent successfully",
+      invitation: {
+        id: result.insertId,
+        email,
+        roleId: roles[0].id,
+        roleName: roles[0].name,
+      },
+    });
+  } catch (error) {
+    console.error("Create invitation error:", error);
+    res.status(500).json({ message: "Error creating invitation" });
+  }
+};
+
+/**
+ * List invitations with their current status (admin only).
+ */
+const getInvitations = async (req, res) => {
+  try {
+    const [invitations] = await pool.query(
+      `SELECT i.id, i.email, i.role_id, r.name AS role_name, i.invited_by,
+              u.name AS invited_by_name, i.expires_at, i.accepted_at, i.revoked_at, i.created_at,
+              CASE
+                WHEN i.accepted_at IS NOT NULL THEN 'accepted'
+                WHEN i.revoked_at IS NOT NULL THEN 'revoked'
+                WHEN i.expires_at <= NOW() THEN 'expired'
+                ELSE 'pending'
+              END AS status
+       FROM invitations i
+       JOIN roles r ON i.role_id = r.id
+       LEFT JOIN users u ON i.invited_by = u.id
+       ORDER BY i.created_at DESC`
+    );
+
+    res.json(invitations);
+  } catch (error) {
+    console.error("Get invitations error:", error);
+    res.status(500).json({ message: "Error fetching invitations" });
+  }
+};
+
+/**
+ * Revoke a pending invitation (admin only).
+ */
+const revokeInvitation = async (req, res) => {
+  try {
+    const [result] = await pool.query(
+      "UPDATE invitations SET revoked_at = NOW() WHERE id = ? AND accepted_at IS NULL AND revoked_at IS NULL",
+      [req.params.id]
+    );
+
+    if (!result.affectedRows) {
+      return res.status(404).json({ message: "Pending invitation not found" });
+    }
+
+    res.json({ message: "Invitation revoked successfully" });
+  } catch (error) {
+    console.error("Revoke invitation error:", error);
+    res.status(500).json({ message: "Error revoking invitation" });
+  }
+};
+
+/**
+ * Redeem an invitation: create the account with the invited role and sign in.
+ */
+const acceptInvitation = async (req, res) => {
+  let connection;
+  try {
+    const { token, name, password, confirmPassword } = req.body;
+
+    if (!token || !name || !password || !confirmPassword) {
+      return res.status(400).json({ message: "All fields are required" });
+    }
+
+    if (password !== confirmPassword) {
+      return res.status(400).json({ message: "Passwords do not match" });
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    let userId;
+    try {
+      const [invitations] = await connection.query(
+        "SELECT * FROM invitations WHERE token_hash = ? AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW() FOR UPDATE",
+        [hashToken(token)]
+      );
+
+      if (!invitations.length) {
+        await connection.rollback();
+        return res
+          .status(400)
+          .json({ message: "Invalid or expired invitation" });
+      }
+
+      const invitation = invitations[0];
+
+      userId = await createUser(
+        { name, email: invitation.email, password, role_id: invitation.role_id },
+        connection
+      );
+
+      // The invitation was delivered to this address, so it is verified
+      await connection.query(
+        "UPDATE users SET email_verified_at = NOW() WHERE id = ?",
+        [userId]
+      );
+      await connection.query(
+        "UPDATE invitations SET accepted_at = NOW(), accepted_user_id = ? WHERE id = ?",
+        [userId, invitation.id]
+      );
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+
+    const newUser = await findUserById(userId);
+
+    // Start a session and generate tokens
+    const { sessionId, refreshToken } = await createSession(newUser, req);
+    const accessToken = generateToken(newUser, sessionId);
+
+    // Remove sensitive data before sending response
+    sanitizeUser(newUser);
+
+    sendAuthResponse(req, res, 201, {
+      message: "Account created successfully",
+      user: newUser,
+      token: accessToken,
+      refreshToken,
+    });
+  } catch (error) {
+    if (error.message === "Email already exists") {
+      return res.status(400).json({ message: "Email already in use" });
+    }
+    console.error("Accept invitation error:", error);
+    res.status(500).json({ message: "Error accepting invitation" });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+};
+
+module.exports = {
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+  acceptInvitation,
+};
@@ -1,8 +1,15 @@
 const pool = require("../config/db");
 const { v4: uuidv4 } = require("uuid");
-
-// @desc    Create a new order
+const { findPurchasable, adjustStock, restockOrder } = require("../services/inventory");
+const {
+  findActiveReservation,
+  completeReservation,
+} = require("../services/reservations");
+const { calculateTotals } = require("../services/orderTotals");
+
+// @desc    Create a new order from a checkout reservation
 // @route   POST /api/orders
+// @body    { reservationId, items? (default: the reserved items), shippingInfo, paymentMethod }
 // @access  Private
 const createOrder = async (req, res, next) => {
   const connection = await pool.getConnection();
@@ -11,40 +18,157 @@ const createOrder = async (req, res, next) => {
 
     // Get user ID from the authenticated user
     const userId = req.user.id;
-    const { items, shippingInfo, paymentMethod } = req.body;
+    const { reservationId, shippingInfo, paymentMethod } = req.body;
 
     if (!userId) {
+      await connection.rollback();
       return res.status(401).json({ message: "User not authenticated" });
     }
-    console.log(items);
-    // Verify all products exist before proceeding
+    if (!reservationId) {
+      await connection.rollback();
+      return res
+        .status(400)
+        .json({ message: "Please start checkout to reserve your items first" });
+    }
+    // Tax rates depend on where the order ships to
+    if (!shippingInfo || !shippingInfo.city || !shippingInfo.zip) {
+      await connection.rollback();
+      return res
+        .status(400)
+        .json({ message: "Shipping city and zip code are required" });
+    }
+
+    // Orders are only placed against an active reservation of the buyer,
+    // which guarantees the stock is still there
+    const reservation = await findActiveReservation(
+      connection,
+      reservationId,
+      userId
+    );
+    if (!reservation) {
+      await connection.rollback();
+      return res.status(409).json({
+        message: "Your reservation has expired, please start checkout again",
+      });
+    }
+
+    const items =
+      req.body.items ||
+      reservation.items.map((item) => ({
+        id: item.product_id,
+        variantId: item.variant_id,
+        quantity: item.quantity,
+      }));
+    if (!Array.isArray(items) || !items.length) {
+      await connection.rollback();
+      return res.status(400).json({ message: "Order must contain at least one item" });
+    }
+
+    // Verify all products (and variants) exist before proceeding.
+    // Prices come from the catalog (current sale or regular price), never
+    // from the request.
+    const orderItems = [];
     for (const item of items) {
-      const [product] = await connection.query(
-        "SELECT id FROM products WHERE id = ?",
-        [item.id]
-      );
-      if (!product.length) {
+      if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+        await connection.rollback();
         return res
           .status(400)
-          .json({ message: `Product with ID ${item.id} not found` });
+          .json({ message: `Invalid quantity for product ${item.id}` });
+      }
+
+      const purchasable = await findPurchasable(
+        connection,
+        item.id,
+        item.variantId || null
+      );
+      if (purchasable.error) {
+        await connection.rollback();
+        return res.status(400).json({ message: purchasable.error });
+      }
+
+      // Lines for the same product (or variant) are combined, so together
+      // they can't order more than the reservation holds
+      const variantId = purchasable.variant ? purchasable.variant.id : null;
+      const existing = orderItems.find(
+        (orderItem) =>
+          orderItem.productId === purchasable.product.id &&
+          orderItem.variantId === variantId
+      );
+      const quantity = (existing ? existing.quantity : 0) + item.quantity;
+      const reserved = reservation.items.find(
+        (held) =>
+          held.product_id === purchasable.product.id &&
+          held.variant_id === variantId
+      );
+      if (!reserved || reserved.quantity < quantity) {
+        await connection.rollback();
+        return res.status(409).json({
+          message: `${purchasable.product.name} isn't covered by your reservation, please start checkout again`,
+        });
+      }
+      if (existing) {
+        existing.quantity = quantity;
+        continue;
+      }
+
+      orderItems.push({
+        productId: purchasable.product.id,
+        variantId,
+        categoryId: purchasable.product.category_id,
+        productName: purchasable.product.name,
+        sku: purchasable.variant ? purchasable.variant.sku : null,
+        imageUrl: purchasable.product.image_url || null,
+        quantity: item.quantity,
+        price: purchasable.price,
+        regularPrice: purchasable.regularPrice,
+      });
+    }
+
+    // Totals as the cart shows them, with the cart's coupon and the tax of the
+    // shipping region. The coupon row stays locked until commit so its usage
+    // limits can't be overrun.
+    const [carts] = await connection.query(
+      "SELECT coupon_id FROM carts WHERE id = ?",
+      [reservation.cartId]
+    );
+    const totals = await calculateTotals(connection, {
+      items: orderItems.map((item, index) => ({ ...item, key: index })),
+      couponId: carts.length ? carts[0].coupon_id : null,
+      userId,
+      region: { city: shippingInfo.city, zip: shippingInfo.zip },
+      lockCoupon: true,
+    });
+    if (totals.couponError) {
+      await connection.rollback();
+      return res.status(409).json({
+        message: `${totals.couponError}. Please remove the coupon to continue`,
+      });
+    }
+
+    const itemDiscounts = orderItems.map(() => 0);
+    for (const discount of totals.discounts) {
+      for (const item of discount.items) {
+        itemDiscounts[item.itemId] += item.amount;
       }
     }
+    const totalAmount = totals.total;
 
     // 1. Create order
     const orderNumber = `ORD-${Date.now()}-${Math.floor(
       1000 + Math.random() * 9000
     )}`;
-    const totalAmount = items.reduce(
-      (sum, item) => sum + item.price * item.quantity,
-      0
-    );
 
     // First insert the order
     const [orderResult] = await connection.query(
-      "INSERT INTO orders (user_id, order_number, total_amount, shipping_name, shipping_email, shipping_address, shipping_city, shipping_zip) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+      "INSERT INTO orders (user_id, order_number, subtotal_amount, discount_amount, shipping_amount, tax_amount, tax_inclusive, total_amount, shipping_name, shipping_email, shipping_address, shipping_city, shipping_zip) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
       [
         userId,
         orderNumber,
+        totals.subtotal,
+        totals.discount,
+        totals.shipping,
+        totals.tax,
+        totals.taxInclusive,
         totalAmount,
         shippingInfo.name,
         shippingInfo.email,
@@ -60,20 +184,73 @@ const createOrder = async (req, res, next) => {
 
     const orderId = orderResult.insertId;
 
-    // 2. Add order items
-    for (const item of items) {
-      await connection.query(
-        "INSERT INTO order_items (order_id, product_id, quantity, price) VALUES (?, ?, ?, ?)",
-        [orderId, item.id, item.quantity, item.price]
+    // 2. Add order items, snapshotting what the product looked like, their
+    // share of the coupon discount (for partial refunds) and their tax lines
+    // (for invoices)
+    for (const [index, item] of orderItems.entries()) {
+      const [itemResult] = await connection.query(
+        "INSERT INTO order_items (order_id, product_id, variant_id, product_name, sku, image_url, quantity, price, regular_price, discount_amount) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
+        [
+          orderId,
+          item.productId,
+          item.variantId,
+          item.productName,
+          item.sku,
+          item.imageUrl,
+          item.quantity,
+          item.price,
+          item.regularPrice,
+          Math.round(itemDiscounts[index] * 100) / 100,
+        ]
       );
 
-      // Update product stock
+      for (const taxLine of totals.taxes.filter((line) => line.key === index)) {
+        await connection.query(
+          "INSERT INTO order_item_taxes (order_item_id, tax_rate_id, name, rate, taxable_amount, amount) VALUES (?, ?, ?, ?, ?, ?)",
+          [
+            itemResult.insertId,
+            taxLine.taxRateId,
+            taxLine.name,
+            taxLine.rate,
+            taxLine.taxableAmount,
+            taxLine.amount,
+          ]
+        );
+      }
+
+      // Update product (or variant) stock. The reservation held it, unless
+      // staff lowered the stock since.
+      const stockAfter = await adjustStock(connection, item, -item.quantity, {
+        reason: "sale",
+        orderId,
+        userId,
+      });
+      if (stockAfter < 0) {
+        await connection.rollback();
+        return res.status(409).json({
+          message: `${item.productName} is no longer available in the requested quantity`,
+        });
+      }
+    }
+
+    // Record the applied discounts, which also count towards coupon usage limits
+    for (const discount of totals.discounts) {
       await connection.query(
-        "UPDATE products SET stock = stock - ? WHERE id = ?",
-        [item.quantity, item.id]
+        "INSERT INTO order_discounts (order_id, coupon_id, code, type, amount, shipping_amount) VALUES (?, ?, ?, ?, ?, ?)",
+        [
+          orderId,
+          discount.couponId,
+          discount.code,
+          discount.type,
+          discount.amount,
+          discount.shippingDiscount,
+        ]
       );
     }
 
+    // The reservation's holds end now that the stock has been taken
+    await completeReservation(connection, reservation.id, orderId);
+
     // 3. Create transaction record
     const transactionId = `TXN-${Date.now()}-${Math.floor(
       1000 + Math.random() * 9000
@@ -100,15 +277,26 @@ const createOrder = async (req, res, next) => {
       [orderId, "pending", "Order created and payment received"]
     );
 
-    // 5. Get the user's cart ID and clear the cart
+    // 5. Get the user's cart ID, take the ordered quantities out of the cart
+    // (items left out of the order stay in it) and clear its coupon
     const [cart] = await connection.query(
       "SELECT id FROM carts WHERE user_id = ?",
       [userId]
     );
 
     if (cart.length > 0) {
+      for (const item of orderItems) {
+        await connection.query(
+          "UPDATE cart_items SET quantity = quantity - ? WHERE cart_id = ? AND product_id = ? AND variant_id <=> ?",
+          [item.quantity, cart[0].id, item.productId, item.variantId]
+        );
+      }
+      await connection.query(
+        "DELETE FROM cart_items WHERE cart_id = ? AND quantity <= 0",
+        [cart[0].id]
+      );
       await connection.query(
-        "DELETE FROM cart_items WHERE cart_id = ?",
+        "UPDATE carts SET coupon_id = NULL WHERE id = ?",
         [cart[0].id]
       );
     }
@@ -142,9 +330,9 @@ const getUserOrders = async (req, res, next) => {
     // Get order items for each order
     for (const order of orders) {
       const [items] = await pool.query(
-        `SELECT oi.*, p.name, p.image_url as imageUrl 
+        `SELECT oi.*, oi.product_name as name, oi.image_url as imageUrl, v.options as variantOptions 
          FROM order_items oi 
-         JOIN products p ON oi.product_id = p.id 
+         LEFT JOIN product_variants v ON oi.variant_id = v.id 
          WHERE oi.order_id = ?`,
         [order.id]
       );
@@ -187,13 +375,27 @@ const getOrderById = async (req, res, next) => {
 
     // Get order items
     const [items] = await pool.query(
-      `SELECT oi.*, p.name, p.image_url as imageUrl, p.category 
+      `SELECT oi.*, oi.product_name as name, oi.image_url as imageUrl, p.category, v.options as variantOptions 
        FROM order_items oi 
        JOIN products p ON oi.product_id = p.id 
+       LEFT JOIN product_variants v ON oi.variant_id = v.id 
        WHERE oi.order_id = ?`,
       [req.params.id]
     );
 
+    // Get the tax lines of each item
+    const [taxLines] = await pool.query(
+      `SELECT t.order_item_id, t.name, t.rate, t.taxable_amount, t.amount
+       FROM order_item_taxes t
+       JOIN order_items oi ON t.order_item_id = oi.id
+       WHERE oi.order_id = ?
+       ORDER BY t.id`,
+      [req.params.id]
+    );
+    for (const item of items) {
+      item.taxes = taxLines.filter((line) => line.order_item_id === item.id);
+    }
+
     // Get status history
     const [statusHistory] = await pool.query(
       "SELECT * FROM order_status_history WHERE order_id = ? ORDER BY created_at",
@@ -206,9 +408,16 @@ const getOrderById = async (req, res, next) => {
       [req.params.id]
     );
 
+    // Get the coupons applied to the order
+    const [discounts] = await pool.query(
+      "SELECT code, type, amount, shipping_amount FROM order_discounts WHERE order_id = ? ORDER BY id",
+      [req.params.id]
+    );
+
     const orderDetails = {
       ...order[0],
       items,
+      discounts,
       statusHistory,
       transaction: transaction[0] || null,
     };
@@ -228,15 +437,19 @@ const getOrderById = async (req, res, next) => {
 const updateOrderStatus = async (req, res, next) => {
   const connection = await pool.getConnection();
   try {
+    await connection.beginTransaction();
+
     const { status, notes } = req.body;
 
-    // Check if order exists
+    // Check if order exists, locking it so concurrent updates can't both
+    // restock a cancellation
     const [order] = await connection.query(
-      "SELECT * FROM orders WHERE id = ?",
+      "SELECT * FROM orders WHERE id = ? FOR UPDATE",
       [req.params.id]
     );
 
     if (order.length === 0) {
+      await connection.rollback();
       return res.status(404).json({
         success: false,
         message: "Order not found",
@@ -255,19 +468,16 @@ const updateOrderStatus = async (req, res, next) => {
       [req.params.id, status, notes || `Status updated to ${status}`]
     );
 
-    // If order is cancelled, return stock
-    if (status === "cancelled") {
-      const [items] = await connection.query(
-        "SELECT product_id, quantity FROM order_items WHERE order_id = ?",
-        [req.params.id]
-      );
-
-      for (const item of items) {
-        await connection.query(
-          "UPDATE products SET stock = stock + ? WHERE id = ?",
-          [item.quantity, item.product_id]
-        );
-      }
+    // Return stock when the order becomes cancelled. Orders that were already
+    // cancelled or refunded had their stock returned then.
+    if (
+      status === "cancelled" &&
+      !["cancelled", "refunded"].includes(order[0].status)
+    ) {
+      await restockOrder(connection, req.params.id, {
+        reason: "cancellation",
+        userId: req.user.id,
+      });
     }
 
     await connection.commit();
@@ -301,9 +511,9 @@ const getAllOrders = async (req, res, next) => {
     for (const order of orders) {
       // Get order items
       const [items] = await pool.query(
-        `SELECT oi.*, p.name, p.image_url as imageUrl 
+        `SELECT oi.*, oi.product_name as name, oi.image_url as imageUrl, v.options as variantOptions 
          FROM order_items oi 
-         JOIN products p ON oi.product_id = p.id 
+         LEFT JOIN product_variants v ON oi.variant_id = v.id 
          WHERE oi.order_id = ?`,
         [order.id]
       );
@@ -344,9 +554,9 @@ const getAdminOrders = async (req, res, next) => {
     for (const order of orders) {
       // Get order items
       const [items] = await pool.query(
-        `SELECT oi.*, p.name, p.image_url as imageUrl 
+        `SELECT oi.*, oi.product_name as name, oi.image_url as imageUrl, v.options as variantOptions 
          FROM order_items oi 
-         JOIN products p ON oi.product_id = p.id 
+         LEFT JOIN product_variants v ON oi.variant_id = v.id 
          WHERE oi.order_id = ?`,
         [order.id]
       );
@@ -0,0 +1,155 @@
+const pool = require('../config/db');
+
+// Shape a scheduled_price_changes row for API responses
+const formatPriceChange = (change) => ({
+  id: change.id,
+  productId: change.product_id,
+  variantId: change.variant_id,
+  sku: change.sku || null,
+  price: parseFloat(change.price),
+  effectiveAt: change.effective_at,
+  status: change.applied_at ? 'applied' : 'pending',
+  appliedAt: change.applied_at,
+  createdBy: change.created_by ? { id: change.created_by, name: change.created_by_name } : null,
+  createdAt: change.created_at
+});
+
+// @desc    List the scheduled price changes of a product and its variants
+// @route   GET /api/products/:id/price-changes
+// @query   status (pending or applied, default both)
+// @access  Private (products:write)
+const getPriceChanges = async (req, res, next) => {
+  try {
+    const [product] = await pool.query('SELECT id FROM products WHERE id = ?', [req.params.id]);
+
+    if (product.length === 0) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const { status } = req.query;
+    if (status !== undefined && !['pending', 'applied'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'Invalid status. Allowed values: pending, applied' });
+    }
+
+    let statusFilter = '';
+    if (status === 'pending') {
+      statusFilter = 'AND sp.applied_at IS NULL';
+    } else if (status === 'applied') {
+      statusFilter = 'AND sp.applied_at IS NOT NULL';
+    }
+
+    const [changes] = await pool.query(
+      `SELECT sp.*, v.sku, u.name AS created_by_name
+       FROM scheduled_price_changes sp
+       LEFT JOIN product_variants v ON sp.variant_id = v.id
+       LEFT JOIN users u ON sp.created_by = u.id
+       WHERE sp.product_id = ? ${statusFilter}
+       ORDER BY sp.effective_at, sp.id`,
+      [req.params.id]
+    );
+
+    res.json({
+      success: true,
+      count: changes.length,
+      data: changes.map(formatPriceChange)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Schedule a new regular price for a product or one of its variants
+// @route   POST /api/products/:id/price-changes
+// @body    { variantId?, price, effectiveAt }
+// @access  Private (products:write)
+const createPriceChange = async (req, res, next) => {
+  try {
+    const { variantId = null, price, effectiveAt } = req.body;
+
+    if (isNaN(parseFloat(price)) || parseFloat(price) < 0) {
+      return res.status(400).json({ success: false, message: 'Price must be a non-negative number' });
+    }
+
+    const effectiveDate = new Date(effectiveAt);
+    if (!effectiveAt || isNaN(effectiveDate.getTime())) {
+      return res.status(400).json({ success: false, message: 'effectiveAt must be a valid date' });
+    }
+    if (effectiveDate <= new Date()) {
+      return res.status(400).json({ success: false, message: 'effectiveAt must be in the future' });
+    }
+
+    const [product] = await pool.query('SELECT id FROM products WHERE id = ?', [req.params.id]);
+
+    if (product.length === 0) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    if (variantId) {
+      const [variant] = await pool.query(
+        'SELECT id FROM product_variants WHERE id = ? AND product_id = ?',
+        [variantId, req.params.id]
+      );
+      if (variant.length === 0) {
+        return res.status(404).json({ message: 'Variant not found' });
+      }
+    }
+
+    const [result] = await pool.query(
+      'INSERT INTO scheduled_price_changes (product_id, variant_id, price, effective_at, created_by) VALUES (?, ?, ?, ?, ?)',
+      [product[0].id, variantId || null, parseFloat(price), effectiveDate, req.user.id]
+    );
+
+    const [change] = await pool.query(
+      `SELECT sp.*, v.sku, u.name AS created_by_name
+       FROM scheduled_price_changes sp
+       LEFT JOIN product_variants v ON sp.variant_id = v.id
+       LEFT JOIN users u ON sp.created_by = u.id
+       WHERE sp.id = ?`,
+      [result.insertId]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Price change scheduled',
+      data: formatPriceChange(change[0])
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Cancel a scheduled price change that hasn't taken effect yet
+// @route   DELETE /api/products/:id/price-changes/:changeId
+// @access  Private (products:write)
+const deletePriceChange = async (req, res, next) => {
+  try {
+    const [changes] = await pool.query(
+      'SELECT * FROM scheduled_price_changes WHERE id = ? AND product_id = ?',
+      [req.params.changeId, req.params.id]
+    );
+
+    if (changes.length === 0) {
+      return res.status(404).json({ message: 'Price change not found' });
+    }
+
+    const change = changes[0];
+    if (change.applied_at || new Date(change.effective_at) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This price change has already taken effect'
+      });
+    }
+
+    await pool.query('DELETE FROM scheduled_price_changes WHERE id = ?', [change.id]);
+
+    res.json({ success: true, message: 'Price change cancelled' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPriceChanges,
+  createPriceChange,
+  deletePriceChange
+};
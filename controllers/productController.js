@@ -1,64 +1,340 @@
 const pool = require('../config/db');
-const { cloudinary } = require('../config/cloudinary');
+const { uploadFile } = require('../config/storage');
+const { recordStockMovement, setStock, heldStockSql } = require('../services/inventory');
+const { priceSql, priceColumnsSql, formatPricing, resolveSaleFields } = require('../services/pricing');
+const {
+  ALLERGENS,
+  DIETARY_LABELS,
+  parseQueryList,
+  resolveProductAttributes,
+  attributeParams,
+  formatProductAttributes
+} = require('../services/productAttributes');
+const { getVariantsForProduct } = require('./variantController');
+const { resolveCategory } = require('./categoryController');
+const { getRatingSummary } = require('./reviewController');
+const {
+  getImagesForProduct,
+  deleteStoredImages,
+  replacePrimaryImage
+} = require('./productImageController');
 
-// @desc    Get all products
-// @route   GET /api/products
-// @access  Private/Admin
-const getProducts = async (req, res, next) => {
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Allowed values for ?sort= and the ORDER BY clause each one maps to
+const SORT_OPTIONS = {
+  newest: 'p.created_at DESC, p.id DESC',
+  price_asc: 'current_price ASC, p.id ASC',
+  price_desc: 'current_price DESC, p.id DESC',
+  name_asc: 'p.name ASC, p.id ASC',
+  name_desc: 'p.name DESC, p.id DESC',
+  popularity: 'units_sold DESC, p.created_at DESC, p.id DESC',
+  rating: 'average_rating IS NULL, average_rating DESC, review_count DESC, p.id DESC',
+  relevance: 'relevance DESC, p.created_at DESC, p.id DESC'
+};
+
+// Product lifecycle states, only active products are visible to customers
+const PRODUCT_STATUSES = ['draft', 'active', 'archived'];
+
+// InnoDB doesn't index words shorter than this (innodb_ft_min_token_size)
+const FULLTEXT_MIN_WORD_LENGTH = 3;
+
+// Turn free text into a boolean-mode full-text query: every word is
+// required and matched as a prefix ("dark choc" -> "+dark* +choc*")
+const toFullTextQuery = (text) => {
+  return text
+    .split(/\s+/)
+    .map(word => word.replace(/[^\p{L}\p{N}]/gu, ''))
+    .filter(word => word.length >= FULLTEXT_MIN_WORD_LENGTH)
+    .map(word => `+${word}*`)
+    .join(' ');
+};
+
+// Build the WHERE conditions for the product listing filters.
+// excludeCategory leaves out the category filter so facet counts can show
+// every category that matches the other filters. statuses limits the
+// lifecycle states listed (all of them when empty).
+const buildProductFilters = (query, { excludeCategory = false, statuses = ['active'] } = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (statuses.length) {
+    conditions.push('p.status IN (?)');
+    params.push(statuses);
+  }
+
+  if (query.q && query.q.trim()) {
+    const fullTextQuery = toFullTextQuery(query.q);
+    const likePattern = `%${query.q.trim().replace(/[\\%_]/g, '\\$&')}%`;
+    if (fullTextQuery) {
+      conditions.push(`(MATCH(p.name, p.description) AGAINST (? IN BOOLEAN MODE)
+        OR JSON_SEARCH(p.key_features, 'one', ?) IS NOT NULL)`);
+      params.push(fullTextQuery, likePattern);
+    } else {
+      conditions.push(`JSON_SEARCH(p.key_features, 'one', ?) IS NOT NULL`);
+      params.push(likePattern);
+    }
+  }
+
+  // A category (ID, slug or name) matches its products and those of every
+  // subcategory below it
+  if (query.category && !excludeCategory) {
+    conditions.push(`p.category_id IN (
+      WITH RECURSIVE category_tree AS (
+        SELECT id FROM categories WHERE id = ? OR slug = ? OR name = ?
+        UNION ALL
+        SELECT c.id FROM categories c JOIN category_tree t ON c.parent_id = t.id
+      )
+      SELECT id FROM category_tree
+    )`);
+    params.push(
+      /^\d+$/.test(query.category) ? parseInt(query.category) : null,
+      query.category,
+      query.category
+    );
+  }
+
+  // Price filters match what customers pay right now, sales included
+  if (query.minPrice !== undefined && query.minPrice !== '') {
+    conditions.push(`${priceSql('p').current} >= ?`);
+    params.push(parseFloat(query.minPrice));
+  }
+
+  if (query.maxPrice !== undefined && query.maxPrice !== '') {
+    conditions.push(`${priceSql('p').current} <= ?`);
+    params.push(parseFloat(query.maxPrice));
+  }
+
+  // Products whose allergens haven't been entered are left out: they can't
+  // be shown as safe for someone avoiding an allergen
+  const excludedAllergens = parseQueryList(query.excludeAllergens, ALLERGENS, 'excludeAllergens').values || [];
+  if (excludedAllergens.length) {
+    conditions.push('p.allergens IS NOT NULL');
+    for (const allergen of excludedAllergens) {
+      conditions.push(`NOT JSON_CONTAINS(p.allergens, JSON_QUOTE(?))
+        AND NOT JSON_CONTAINS(COALESCE(p.allergen_traces, JSON_ARRAY()), JSON_QUOTE(?))`);
+      params.push(allergen, allergen);
+    }
+  }
+
+  const dietaryLabels = parseQueryList(query.dietary, DIETARY_LABELS, 'dietary').values || [];
+  for (const label of dietaryLabels) {
+    conditions.push('JSON_CONTAINS(p.dietary_labels, JSON_QUOTE(?))');
+    params.push(label);
+  }
+
+  if (query.minCocoa !== undefined && query.minCocoa !== '') {
+    conditions.push('p.cocoa_percentage >= ?');
+    params.push(parseFloat(query.minCocoa));
+  }
+
+  if (query.maxCocoa !== undefined && query.maxCocoa !== '') {
+    conditions.push('p.cocoa_percentage <= ?');
+    params.push(parseFloat(query.maxCocoa));
+  }
+
+  // Stock held by checkouts in progress isn't in stock
+  if (query.inStock === 'true') {
+    conditions.push(`p.stock - ${heldStockSql('p.id', 'NULL')} > 0`);
+  } else if (query.inStock === 'false') {
+    conditions.push(`p.stock - ${heldStockSql('p.id', 'NULL')} <= 0`);
+  }
+
+  return {
+    where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+};
+
+// Shape a products row for API responses
+const formatProduct = (product) => {
+  // Parse key_features if it's a string
+  let keyFeatures = [];
   try {
-    console.log('Fetching all products...');
-    
-    // Fetch all products from the database
-    const [products] = await pool.query(`
-      SELECT 
-        id,
-        name,
-        category,
-        description,
-        price,
-        stock,
-        key_features,
-        image_url,
-        created_at,
-        updated_at
-      FROM products 
-      ORDER BY created_at DESC
-    `);
-
-    // Process the products data
-    const formattedProducts = products.map(product => {
-      // Parse key_features if it's a string
-      let keyFeatures = [];
-      try {
-        keyFeatures = product.key_features ? 
-          (typeof product.key_features === 'string' ? 
-            JSON.parse(product.key_features) : 
-            product.key_features) : 
-          [];
-      } catch (e) {
-        console.error(`Error parsing key_features for product ${product.id}:`, e);
-        keyFeatures = [];
+    keyFeatures = product.key_features ? 
+      (typeof product.key_features === 'string' ? 
+        JSON.parse(product.key_features) : 
+        product.key_features) : 
+      [];
+  } catch (e) {
+    console.error(`Error parsing key_features for product ${product.id}:`, e);
+    keyFeatures = [];
+  }
+
+  return {
+    id: product.id,
+    name: product.name,
+    categoryId: product.category_id,
+    category: product.category,
+    description: product.description || '',
+    ...formatPricing(product),
+    stock: parseInt(product.stock) || 0,
+    availableStock: product.available_stock !== undefined
+      ? Math.max(parseInt(product.available_stock) || 0, 0)
+      : parseInt(product.stock) || 0,
+    lowStockThreshold: product.low_stock_threshold ?? null,
+    keyFeatures,
+    ...formatProductAttributes(product),
+    imageUrl: product.image_url || null,
+    status: product.status,
+    unitsSold: parseInt(product.units_sold) || 0,
+    averageRating: product.average_rating !== null && product.average_rating !== undefined
+      ? parseFloat(parseFloat(product.average_rating).toFixed(2))
+      : null,
+    reviewCount: parseInt(product.review_count) || 0,
+    createdAt: product.created_at,
+    updatedAt: product.updated_at
+  };
+};
+
+// List products for the storefront (active only) or for catalog staff
+// (any status, optionally narrowed with ?status=draft,archived)
+const listProducts = async (req, res, next, { manage }) => {
+  try {
+    const { q, minPrice, maxPrice, minCocoa, maxCocoa } = req.query;
+
+    let statuses = ['active'];
+    if (manage) {
+      statuses = req.query.status ? String(req.query.status).split(',').map(status => status.trim()) : [];
+      const invalidStatuses = statuses.filter(status => !PRODUCT_STATUSES.includes(status));
+      if (invalidStatuses.length) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid status. Allowed values: ${PRODUCT_STATUSES.join(', ')}`
+        });
       }
+    }
 
-      return {
-        id: product.id,
-        name: product.name,
-        category: product.category,
-        description: product.description || '',
-        price: parseFloat(product.price) || 0,
-        stock: parseInt(product.stock) || 0,
-        keyFeatures,
-        imageUrl: product.image_url || null,
-        createdAt: product.created_at,
-        updatedAt: product.updated_at
-      };
-    });
+    // ?q=a&q=b arrives as an array
+    if (q !== undefined && typeof q !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'q must be a single search term'
+      });
+    }
+
+    for (const [name, value] of Object.entries({ minPrice, maxPrice, minCocoa, maxCocoa })) {
+      if (value !== undefined && value !== '' && isNaN(parseFloat(value))) {
+        return res.status(400).json({
+          success: false,
+          message: `${name} must be a number`
+        });
+      }
+    }
+
+    const listError = parseQueryList(req.query.excludeAllergens, ALLERGENS, 'excludeAllergens').error ||
+      parseQueryList(req.query.dietary, DIETARY_LABELS, 'dietary').error;
+    if (listError) {
+      return res.status(400).json({ success: false, message: listError });
+    }
+
+    const sort = req.query.sort || (q ? 'relevance' : 'newest');
+    if (!SORT_OPTIONS[sort] || (sort === 'relevance' && !q)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sort. Allowed values: ${Object.keys(SORT_OPTIONS).join(', ')} (relevance requires q)`
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const { where, params } = buildProductFilters(req.query, { statuses });
+
+    // Relevance is only meaningful (and only selected) for text searches
+    const fullTextQuery = q ? toFullTextQuery(q) : '';
+    const relevanceColumn = fullTextQuery
+      ? 'MATCH(p.name, p.description) AGAINST (? IN BOOLEAN MODE) AS relevance'
+      : '0 AS relevance';
+    const relevanceParams = fullTextQuery ? [fullTextQuery] : [];
+
+    const [products] = await pool.query(
+      `SELECT 
+        p.id,
+        p.name,
+        p.category_id,
+        p.category,
+        p.description,
+        p.price,
+        p.sale_price,
+        p.sale_starts_at,
+        p.sale_ends_at,
+        ${priceColumnsSql('p')},
+        p.stock,
+        p.stock - ${heldStockSql('p.id', 'NULL')} AS available_stock,
+        p.low_stock_threshold,
+        p.key_features,
+        p.allergens,
+        p.allergen_traces,
+        p.dietary_labels,
+        p.cocoa_percentage,
+        p.ingredients,
+        p.nutrition,
+        p.image_url,
+        p.status,
+        p.created_at,
+        p.updated_at,
+        COALESCE(sales.units_sold, 0) AS units_sold,
+        ratings.average_rating,
+        COALESCE(ratings.review_count, 0) AS review_count,
+        ${relevanceColumn}
+      FROM products p
+      LEFT JOIN (
+        SELECT product_id, SUM(quantity) AS units_sold
+        FROM order_items
+        GROUP BY product_id
+      ) sales ON sales.product_id = p.id
+      LEFT JOIN (
+        SELECT product_id, AVG(rating) AS average_rating, COUNT(*) AS review_count
+        FROM product_reviews
+        WHERE status = 'approved'
+        GROUP BY product_id
+      ) ratings ON ratings.product_id = p.id
+      ${where}
+      ORDER BY ${SORT_OPTIONS[sort]}
+      LIMIT ? OFFSET ?`,
+      [...relevanceParams, ...params, limit, (page - 1) * limit]
+    );
+
+    const [countRows] = await pool.query(
+      `SELECT COUNT(*) AS total FROM products p ${where}`,
+      params
+    );
+    const total = countRows[0].total;
+
+    // Category facets ignore the category filter itself
+    const facetFilters = buildProductFilters(req.query, { excludeCategory: true, statuses });
+    const [categoryFacets] = await pool.query(
+      `SELECT c.id, c.name, c.slug, COUNT(*) AS count
+       FROM products p
+       JOIN categories c ON p.category_id = c.id
+       ${facetFilters.where}
+       GROUP BY c.id, c.name, c.slug, c.sort_order
+       ORDER BY c.sort_order, c.name`,
+      facetFilters.params
+    );
+
+    const formattedProducts = products.map(formatProduct);
 
-    console.log(`Successfully fetched ${formattedProducts.length} products`);
     res.status(200).json({
       success: true,
       count: formattedProducts.length,
-      data: formattedProducts
+      data: formattedProducts,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      },
+      facets: {
+        categories: categoryFacets.map(facet => ({
+          id: facet.id,
+          category: facet.name,
+          slug: facet.slug,
+          count: facet.count
+        }))
+      }
     });
   } catch (error) {
     console.error('Error fetching products:', error);
@@ -66,41 +342,84 @@ const getProducts = async (req, res, next) => {
   }
 };
 
+// @desc    Get active products with search, filters, sorting and pagination
+// @route   GET /api/products
+// @query   q, category (ID or slug, includes subcategories), minPrice, maxPrice, inStock,
+//          excludeAllergens (e.g. nuts,milk), dietary (e.g. vegan,gluten_free), minCocoa, maxCocoa,
+//          sort, page, limit
+// @access  Public
+const getProducts = (req, res, next) => listProducts(req, res, next, { manage: false });
+
+// @desc    Get products in any lifecycle state, same filters as GET /api/products
+// @route   GET /api/products/admin
+// @query   status (draft, active, archived - comma separated, default all) plus the public filters
+// @access  Private (products:write)
+const getAdminProducts = (req, res, next) => listProducts(req, res, next, { manage: true });
+
+// Validate a product status, returns an error message or null
+const validateStatus = (status) => {
+  if (status !== undefined && !PRODUCT_STATUSES.includes(status)) {
+    return `Invalid status. Allowed values: ${PRODUCT_STATUSES.join(', ')}`;
+  }
+  return null;
+};
+
+// Validate stock and low-stock threshold, returns an error message or null
+const validateStockFields = ({ stock, lowStockThreshold }) => {
+  if (stock !== undefined && stock !== '' && (!Number.isInteger(Number(stock)) || Number(stock) < 0)) {
+    return 'Stock must be a non-negative integer';
+  }
+  if (lowStockThreshold !== undefined && lowStockThreshold !== null && lowStockThreshold !== '' &&
+      (!Number.isInteger(Number(lowStockThreshold)) || Number(lowStockThreshold) < 0)) {
+    return 'Low stock threshold must be a non-negative integer';
+  }
+  return null;
+};
+
+// An empty threshold means "use the default LOW_STOCK_THRESHOLD"
+const parseThreshold = (value) => (value === null || value === '' ? null : parseInt(value));
+
 // @desc    Create a product
 // @route   POST /api/products
 // @access  Private/Admin
 const createProduct = async (req, res, next) => {
   try {
-    const { name, description, price, stock, keyFeatures, category } = req.body;
+    const { name, description, price, stock, keyFeatures, categoryId, category, status = 'active', lowStockThreshold = null } = req.body;
+
+    if (!name || !price || stock === undefined || (!categoryId && !category)) {
+      return res.status(400).json({ message: 'Please provide all required fields: name, price, stock, and categoryId' });
+    }
+
+    const statusError = validateStatus(status) || validateStockFields({ stock, lowStockThreshold });
+    if (statusError) {
+      return res.status(400).json({ message: statusError });
+    }
 
-    if (!name || !price || stock === undefined || !category) {
-      return res.status(400).json({ message: 'Please provide all required fields: name, price, stock, and category' });
+    const sale = resolveSaleFields(req.body, {}, parseFloat(price));
+    if (sale.error) {
+      return res.status(400).json({ message: sale.error });
+    }
+
+    const attributes = resolveProductAttributes(req.body);
+    if (attributes.error) {
+      return res.status(400).json({ message: attributes.error });
+    }
+
+    const productCategory = await resolveCategory(pool, { categoryId, category });
+    if (!productCategory) {
+      return res.status(400).json({ message: 'Category not found' });
     }
 
     let imageUrl = '';
+    let storedImage = null;
     
-    // Handle image upload to Cloudinary if file exists
+    // Handle image upload to the configured storage if file exists
     if (req.file) {
       try {
-        const fileBuffer = req.file.buffer;
-        if (!fileBuffer || fileBuffer.length === 0) {
-          throw new Error('Empty file');
-        }
-
-        // Convert buffer to base64
-        const base64String = fileBuffer.toString('base64');
-        const dataUri = `data:${req.file.mimetype};base64,${base64String}`;
-
-        // Upload to Cloudinary using the v2 uploader
-        const result = await cloudinary.uploader.upload(dataUri, {
-          folder: 'chocolate_shop',
-          resource_type: 'auto'
-        });
-        
-        console.log('Cloudinary upload result:', result); // Debug log
-        imageUrl = result.secure_url;
+        storedImage = await uploadFile(req.file);
+        imageUrl = storedImage.url;
       } catch (error) {
-        console.error('Error uploading image to Cloudinary:', error);
+        console.error('Error uploading image:', error);
         return res.status(500).json({ message: 'Error uploading image' });
       }
     }
@@ -114,17 +433,42 @@ const createProduct = async (req, res, next) => {
       keyFeaturesData = [];
     }
 
-    console.log('Inserting product with image URL:', imageUrl); // Debug log
-    
     const [result] = await pool.query(
-      'INSERT INTO products (name, category, description, price, stock, key_features, image_url) VALUES (?, ?, ?, ?, ?, ?, ?)',
-      [name, category, description, parseFloat(price), parseInt(stock), JSON.stringify(keyFeaturesData), imageUrl]
+      `INSERT INTO products (name, category_id, category, description, price, sale_price, sale_starts_at, sale_ends_at, stock, key_features,
+        allergens, allergen_traces, dietary_labels, cocoa_percentage, ingredients, nutrition, image_url, status, low_stock_threshold)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        name,
+        productCategory.id,
+        productCategory.name,
+        description,
+        parseFloat(price),
+        sale.values.sale_price,
+        sale.values.sale_starts_at,
+        sale.values.sale_ends_at,
+        parseInt(stock),
+        JSON.stringify(keyFeaturesData),
+        ...attributeParams(attributes.values),
+        imageUrl,
+        status,
+        parseThreshold(lowStockThreshold)
+      ]
     );
 
-    console.log('Insert result:', result); // Debug log
+    // Opening entry of the product's stock ledger
+    if (parseInt(stock) > 0) {
+      await recordStockMovement(pool, { productId: result.insertId }, parseInt(stock), parseInt(stock), {
+        reason: 'initial_stock',
+        userId: req.user.id
+      });
+    }
+
+    // The uploaded image starts the product's gallery
+    if (storedImage) {
+      await replacePrimaryImage(pool, result.insertId, { ...storedImage, altText: name });
+    }
 
     const [newProduct] = await pool.query('SELECT * FROM products WHERE id = ?', [result.insertId]);
-    console.log('Retrieved product after insert:', newProduct[0]); // Debug log
     
     // Safely parse key_features if it exists and is a string
     if (newProduct[0] && newProduct[0].key_features) {
@@ -162,25 +506,6 @@ const updateProduct = async (req, res, next) => {
       return res.status(404).json({ message: 'Product not found' });
     }
 
-    // Handle file upload if present
-    let imageUrl = product[0].image_url;
-    if (req.file) {
-      try {
-        // Convert buffer to base64 for Cloudinary
-        const base64String = `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`;
-        const result = await cloudinary.uploader.upload(base64String, {
-          folder: 'chocolate_shop',
-          format: 'webp',
-          quality: 'auto',
-          fetch_format: 'auto'
-        });
-        imageUrl = result.secure_url;
-      } catch (uploadError) {
-        console.error('Error uploading image to Cloudinary:', uploadError);
-        return res.status(500).json({ message: 'Error uploading image' });
-      }
-    }
-
     // Parse keyFeatures if it's a string, otherwise use as is or default to empty array
     let keyFeaturesData = [];
     try {
@@ -202,30 +527,113 @@ const updateProduct = async (req, res, next) => {
       keyFeaturesData = [];
     }
 
+    const statusError = validateStatus(req.body.status) || validateStockFields(req.body);
+    if (statusError) {
+      return res.status(400).json({ message: statusError });
+    }
+
+    const sale = resolveSaleFields(
+      req.body,
+      product[0],
+      req.body.price ? parseFloat(req.body.price) : product[0].price
+    );
+    if (sale.error) {
+      return res.status(400).json({ message: sale.error });
+    }
+
+    const attributes = resolveProductAttributes(req.body, product[0]);
+    if (attributes.error) {
+      return res.status(400).json({ message: attributes.error });
+    }
+
+    let productCategory = { id: product[0].category_id, name: product[0].category };
+    if (req.body.categoryId || req.body.category) {
+      productCategory = await resolveCategory(pool, req.body);
+      if (!productCategory) {
+        return res.status(400).json({ message: 'Category not found' });
+      }
+    }
+
+    // Upload the image once the request is known to be valid, so rejected
+    // updates leave no orphaned asset behind
+    let imageUrl = product[0].image_url;
+    let storedImage = null;
+    if (req.file) {
+      try {
+        storedImage = await uploadFile(req.file);
+        imageUrl = storedImage.url;
+      } catch (uploadError) {
+        console.error('Error uploading image:', uploadError);
+        return res.status(500).json({ message: 'Error uploading image' });
+      }
+    }
+
     // Prepare updated fields
     const updatedFields = {
       name: req.body.name || product[0].name,
-      category: req.body.category || product[0].category,
+      category_id: productCategory.id,
+      category: productCategory.name,
       description: req.body.description || product[0].description || '',
       price: req.body.price ? parseFloat(req.body.price) : product[0].price,
-      stock: req.body.stock ? parseInt(req.body.stock) : product[0].stock,
+      stock: req.body.stock !== undefined && req.body.stock !== '' ? parseInt(req.body.stock) : product[0].stock,
       key_features: JSON.stringify(keyFeaturesData),
-      image_url: imageUrl
+      image_url: imageUrl,
+      status: req.body.status || product[0].status,
+      low_stock_threshold: req.body.lowStockThreshold !== undefined
+        ? parseThreshold(req.body.lowStockThreshold)
+        : product[0].low_stock_threshold
     };
 
-    await pool.query(
-      'UPDATE products SET name = ?, category = ?, description = ?, price = ?, stock = ?, key_features = ?, image_url = ? WHERE id = ?',
-      [
-        updatedFields.name,
-        updatedFields.category,
-        updatedFields.description, 
-        updatedFields.price, 
-        updatedFields.stock, 
-        updatedFields.key_features,
-        updatedFields.image_url,
-        req.params.id
-      ]
-    );
+    // Stock goes through the ledger, so the change is recorded with the edit
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      await connection.query(
+        `UPDATE products SET name = ?, category_id = ?, category = ?, description = ?, price = ?, sale_price = ?, sale_starts_at = ?, sale_ends_at = ?,
+          key_features = ?, allergens = ?, allergen_traces = ?, dietary_labels = ?, cocoa_percentage = ?, ingredients = ?, nutrition = ?,
+          image_url = ?, status = ?, low_stock_threshold = ? WHERE id = ?`,
+        [
+          updatedFields.name,
+          updatedFields.category_id,
+          updatedFields.category,
+          updatedFields.description, 
+          updatedFields.price, 
+          sale.values.sale_price,
+          sale.values.sale_starts_at,
+          sale.values.sale_ends_at,
+          updatedFields.key_features,
+          ...attributeParams(attributes.values),
+          updatedFields.image_url,
+          updatedFields.status,
+          updatedFields.low_stock_threshold,
+          req.params.id
+        ]
+      );
+      await setStock(connection, { productId: product[0].id }, updatedFields.stock, {
+        reason: 'product_update',
+        userId: req.user.id
+      });
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      if (storedImage) {
+        await deleteStoredImages([storedImage]);
+      }
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    // A new upload replaces the primary image, the old asset is deleted
+    if (storedImage) {
+      const replacedImages = await replacePrimaryImage(pool, req.params.id, {
+        ...storedImage,
+        altText: updatedFields.name
+      });
+      await deleteStoredImages(replacedImages);
+    }
 
     const [updatedProduct] = await pool.query('SELECT * FROM products WHERE id = ?', [req.params.id]);
     
@@ -263,7 +671,7 @@ const updateProduct = async (req, res, next) => {
   }
 };
 
-// @desc    Delete a product
+// @desc    Delete a product that has never been ordered
 // @route   DELETE /api/products/:id
 // @access  Private/Admin
 const deleteProduct = async (req, res, next) => {
@@ -274,28 +682,57 @@ const deleteProduct = async (req, res, next) => {
       return res.status(404).json({ message: 'Product not found' });
     }
 
+    // Order history must stay intact, ordered products can only be archived
+    const [orderItems] = await pool.query(
+      'SELECT COUNT(*) AS count FROM order_items WHERE product_id = ?',
+      [req.params.id]
+    );
+    if (orderItems[0].count > 0) {
+      return res.status(400).json({
+        message: 'Product has been ordered and cannot be deleted, archive it instead'
+      });
+    }
+
+    const [images] = await pool.query('SELECT * FROM product_images WHERE product_id = ?', [req.params.id]);
+
     await pool.query('DELETE FROM products WHERE id = ?', [req.params.id]);
+    await deleteStoredImages(images);
     res.json({ message: 'Product removed' });
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Get product by ID
-// @route   GET /api/products/:id
-// @access  Private/Admin
-const getProductById = async (req, res, next) => {
+// Get a product with its images and variants. Customers only see active
+// products, catalog staff see every status.
+const findProductDetails = async (req, res, next, { manage }) => {
   try {
-    const [product] = await pool.query('SELECT * FROM products WHERE id = ?', [req.params.id]);
+    const [product] = await pool.query(
+      `SELECT p.*, ${priceColumnsSql('p')}, p.stock - ${heldStockSql('p.id', 'NULL')} AS available_stock
+       FROM products p WHERE p.id = ?`,
+      [req.params.id]
+    );
 
-    if (product.length === 0) {
+    if (product.length === 0 || (!manage && product[0].status !== 'active')) {
       return res.status(404).json({ message: 'Product not found' });
     }
 
     // Parse the key_features JSON string back to an array
+    const keyFeatures = product[0].key_features || '[]';
+    const { averageRating, reviewCount } = await getRatingSummary(product[0].id);
+    const { regularPrice, currentPrice, onSale } = formatPricing(product[0]);
     const productWithFeatures = {
       ...product[0],
-      key_features: JSON.parse(product[0].key_features || '[]')
+      ...formatProductAttributes(product[0]),
+      regularPrice,
+      currentPrice,
+      onSale,
+      availableStock: Math.max(parseInt(product[0].available_stock) || 0, 0),
+      averageRating,
+      reviewCount,
+      key_features: typeof keyFeatures === 'string' ? JSON.parse(keyFeatures) : keyFeatures,
+      images: await getImagesForProduct(product[0].id),
+      variants: await getVariantsForProduct(product[0].id)
     };
     res.json(productWithFeatures);
   } catch (error) {
@@ -303,8 +740,21 @@ const getProductById = async (req, res, next) => {
   }
 };
 
+// @desc    Get an active product by ID
+// @route   GET /api/products/:id
+// @access  Public
+const getProductById = (req, res, next) => findProductDetails(req, res, next, { manage: false });
+
+// @desc    Get a product by ID in any lifecycle state
+// @route   GET /api/products/admin/:id
+// @access  Private (products:write)
+const getAdminProductById = (req, res, next) => findProductDetails(req, res, next, { manage: true });
+
 module.exports = {
+  PRODUCT_STATUSES,
   getProducts,
+  getAdminProducts,
+  getAdminProductById,
   createProduct,
   updateProduct,
   deleteProduct,
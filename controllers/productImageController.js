@@ -0,0 +1,341 @@
+const pool = require('../config/db');
+const { uploadFile, deleteFile } = require('../config/storage');
+
+const MAX_IMAGES_PER_PRODUCT = parseInt(process.env.MAX_IMAGES_PER_PRODUCT) || 20;
+
+// Shape a product_images row for API responses
+const formatImage = (image) => ({
+  id: image.id,
+  url: image.url,
+  altText: image.alt_text,
+  sortOrder: image.sort_order,
+  isPrimary: Boolean(image.is_primary)
+});
+
+// Get all images of a product, in display order
+const getImagesForProduct = async (productId, db = pool) => {
+  const [images] = await db.query(
+    'SELECT * FROM product_images WHERE product_id = ? ORDER BY sort_order, id',
+    [productId]
+  );
+  return images.map(formatImage);
+};
+
+// Delete the stored files of removed images (product_images rows or
+// uploadFile results). Failures are logged rather than thrown: the database
+// rows are already gone at this point.
+const deleteStoredImages = async (images) => {
+  for (const image of images) {
+    try {
+      await deleteFile({
+        storage: image.storage,
+        key: image.storage_key || image.key,
+        url: image.url
+      });
+    } catch (error) {
+      console.error(`Error deleting image ${image.url} from ${image.storage} storage:`, error);
+    }
+  }
+};
+
+// Make sure a product with images has exactly one primary image and mirror
+// its URL to products.image_url, which listings, carts and orders read
+const syncPrimaryImage = async (db, productId) => {
+  const [images] = await db.query(
+    'SELECT id, url, is_primary FROM product_images WHERE product_id = ? ORDER BY is_primary DESC, sort_order, id',
+    [productId]
+  );
+  const primary = images[0] || null;
+
+  if (primary) {
+    await db.query(
+      'UPDATE product_images SET is_primary = (id = ?) WHERE product_id = ?',
+      [primary.id, productId]
+    );
+  }
+  await db.query('UPDATE products SET image_url = ? WHERE id = ?', [primary ? primary.url : null, productId]);
+};
+
+// Put a new image first in the gallery as the primary image, removing the
+// previous primary image. Returns the removed rows so their assets can be deleted.
+const replacePrimaryImage = async (db, productId, { storage, url, key, altText = '' }) => {
+  const [previous] = await db.query(
+    'SELECT * FROM product_images WHERE product_id = ? AND is_primary = TRUE',
+    [productId]
+  );
+
+  if (previous.length) {
+    await db.query('DELETE FROM product_images WHERE id IN (?)', [previous.map(image => image.id)]);
+  }
+
+  await db.query('UPDATE product_images SET sort_order = sort_order + 1 WHERE product_id = ?', [productId]);
+  await db.query(
+    'INSERT INTO product_images (product_id, url, storage, storage_key, alt_text, sort_order, is_primary) VALUES (?, ?, ?, ?, ?, 0, TRUE)',
+    [productId, url, storage, key, altText]
+  );
+  await syncPrimaryImage(db, productId);
+
+  return previous;
+};
+
+// Alt texts come as a JSON array (one per file) or a single string for all files
+const parseAltTexts = (body, count) => {
+  let altTexts = body.altTexts;
+  if (typeof altTexts === 'string') {
+    try {
+      altTexts = JSON.parse(altTexts);
+    } catch (e) {
+      altTexts = null;
+    }
+  }
+  if (!Array.isArray(altTexts)) {
+    altTexts = [];
+  }
+  return Array.from({ length: count }, (_, i) => String(altTexts[i] || body.altText || '').slice(0, 255));
+};
+
+// @desc    Get the images of a product
+// @route   GET /api/products/:id/images
+// @access  Public
+const getProductImages = async (req, res, next) => {
+  try {
+    // Draft and archived products are hidden from customers
+    const [product] = await pool.query(
+      "SELECT id FROM products WHERE id = ? AND status = 'active'",
+      [req.params.id]
+    );
+
+    if (product.length === 0) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const images = await getImagesForProduct(req.params.id);
+
+    res.json({
+      success: true,
+      count: images.length,
+      data: images
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Upload images to a product gallery (multipart field "images")
+// @route   POST /api/products/:id/images
+// @access  Private (products:write)
+const addProductImages = async (req, res, next) => {
+  const files = req.files || [];
+  if (!files.length) {
+    return res.status(400).json({ success: false, message: 'Please upload at least one image' });
+  }
+
+  let uploaded = [];
+  const connection = await pool.getConnection();
+  try {
+    const [product] = await connection.query('SELECT id FROM products WHERE id = ?', [req.params.id]);
+
+    if (product.length === 0) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const [existing] = await connection.query(
+      'SELECT COUNT(*) AS count, COALESCE(MAX(sort_order), -1) AS lastPosition FROM product_images WHERE product_id = ?',
+      [req.params.id]
+    );
+
+    if (existing[0].count + files.length > MAX_IMAGES_PER_PRODUCT) {
+      return res.status(400).json({
+        success: false,
+        message: `A product can have at most ${MAX_IMAGES_PER_PRODUCT} images`
+      });
+    }
+
+    try {
+      for (const file of files) {
+        uploaded.push(await uploadFile(file));
+      }
+    } catch (uploadError) {
+      console.error('Error uploading image:', uploadError);
+      await deleteStoredImages(uploaded);
+      uploaded = [];
+      return res.status(500).json({ message: 'Error uploading image' });
+    }
+
+    const altTexts = parseAltTexts(req.body, uploaded.length);
+
+    await connection.beginTransaction();
+
+    for (const [index, image] of uploaded.entries()) {
+      await connection.query(
+        'INSERT INTO product_images (product_id, url, storage, storage_key, alt_text, sort_order) VALUES (?, ?, ?, ?, ?, ?)',
+        [req.params.id, image.url, image.storage, image.key, altTexts[index], existing[0].lastPosition + 1 + index]
+      );
+    }
+
+    // The first new image can be promoted to primary straight away
+    if (req.body.isPrimary === true || req.body.isPrimary === 'true') {
+      await connection.query(
+        'UPDATE product_images SET is_primary = (url = ?) WHERE product_id = ?',
+        [uploaded[0].url, req.params.id]
+      );
+    }
+    await syncPrimaryImage(connection, req.params.id);
+
+    await connection.commit();
+
+    res.status(201).json({
+      success: true,
+      message: `${uploaded.length} image(s) added`,
+      data: await getImagesForProduct(req.params.id, connection)
+    });
+  } catch (error) {
+    await connection.rollback();
+    await deleteStoredImages(uploaded);
+    next(error);
+  } finally {
+    connection.release();
+  }
+};
+
+// @desc    Update an image's alt text or make it the primary image
+// @route   PUT /api/products/:id/images/:imageId
+// @access  Private (products:write)
+const updateProductImage = async (req, res, next) => {
+  const connection = await pool.getConnection();
+  try {
+    const [images] = await connection.query(
+      'SELECT * FROM product_images WHERE id = ? AND product_id = ?',
+      [req.params.imageId, req.params.id]
+    );
+
+    if (images.length === 0) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    const { altText, isPrimary } = req.body;
+
+    await connection.beginTransaction();
+
+    if (altText !== undefined) {
+      await connection.query(
+        'UPDATE product_images SET alt_text = ? WHERE id = ?',
+        [String(altText).slice(0, 255), images[0].id]
+      );
+    }
+
+    if (isPrimary === true || isPrimary === 'true') {
+      await connection.query(
+        'UPDATE product_images SET is_primary = (id = ?) WHERE product_id = ?',
+        [images[0].id, req.params.id]
+      );
+      await syncPrimaryImage(connection, req.params.id);
+    }
+
+    await connection.commit();
+
+    const [updated] = await connection.query('SELECT * FROM product_images WHERE id = ?', [images[0].id]);
+
+    res.json({
+      success: true,
+      message: 'Image updated successfully',
+      data: formatImage(updated[0])
+    });
+  } catch (error) {
+    await connection.rollback();
+    next(error);
+  } finally {
+    connection.release();
+  }
+};
+
+// @desc    Reorder the images of a product
+// @route   PUT /api/products/:id/images/order
+// @body    { imageIds: [3, 1, 2] } - every image of the product, in the new order
+// @access  Private (products:write)
+const reorderProductImages = async (req, res, next) => {
+  const connection = await pool.getConnection();
+  try {
+    const { imageIds } = req.body;
+
+    const [images] = await connection.query(
+      'SELECT id FROM product_images WHERE product_id = ?',
+      [req.params.id]
+    );
+    const currentIds = images.map(image => image.id).sort((a, b) => a - b);
+    const requestedIds = Array.isArray(imageIds) ? imageIds.map(Number) : [];
+
+    if (requestedIds.length !== currentIds.length ||
+        [...requestedIds].sort((a, b) => a - b).some((id, i) => id !== currentIds[i])) {
+      return res.status(400).json({
+        success: false,
+        message: 'imageIds must list every image of the product exactly once'
+      });
+    }
+
+    await connection.beginTransaction();
+
+    for (const [position, imageId] of requestedIds.entries()) {
+      await connection.query(
+        'UPDATE product_images SET sort_order = ? WHERE id = ?',
+        [position, imageId]
+      );
+    }
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      message: 'Images reordered',
+      data: await getImagesForProduct(req.params.id, connection)
+    });
+  } catch (error) {
+    await connection.rollback();
+    next(error);
+  } finally {
+    connection.release();
+  }
+};
+
+// @desc    Remove an image from a product and delete the stored asset
+// @route   DELETE /api/products/:id/images/:imageId
+// @access  Private (products:write)
+const deleteProductImage = async (req, res, next) => {
+  const connection = await pool.getConnection();
+  try {
+    const [images] = await connection.query(
+      'SELECT * FROM product_images WHERE id = ? AND product_id = ?',
+      [req.params.imageId, req.params.id]
+    );
+
+    if (images.length === 0) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    await connection.beginTransaction();
+    await connection.query('DELETE FROM product_images WHERE id = ?', [images[0].id]);
+    // Promotes the next image if the primary one was removed
+    await syncPrimaryImage(connection, req.params.id);
+    await connection.commit();
+
+    await deleteStoredImages(images);
+
+    res.json({ success: true, message: 'Image removed' });
+  } catch (error) {
+    await connection.rollback();
+    next(error);
+  } finally {
+    connection.release();
+  }
+};
+
+module.exports = {
+  getImagesForProduct,
+  deleteStoredImages,
+  replacePrimaryImage,
+  getProductImages,
+  addProductImages,
+  updateProductImage,
+  reorderProductImages,
+  deleteProductImage
+};
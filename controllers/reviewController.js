@@ -0,0 +1,471 @@
+const pool = require('../config/db');
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Allowed values for ?sort= on the public review list
+const REVIEW_SORT_OPTIONS = {
+  newest: 'r.created_at DESC, r.id DESC',
+  helpful: 'r.helpful_count DESC, r.created_at DESC, r.id DESC',
+  rating_desc: 'r.rating DESC, r.created_at DESC, r.id DESC',
+  rating_asc: 'r.rating ASC, r.created_at DESC, r.id DESC'
+};
+
+// Shape a product_reviews row (joined with the author's name) for API responses
+const formatReview = (review) => ({
+  id: review.id,
+  productId: review.product_id,
+  rating: review.rating,
+  title: review.title,
+  body: review.body,
+  status: review.status,
+  helpfulCount: review.helpful_count,
+  author: {
+    id: review.user_id,
+    name: review.author_name
+  },
+  createdAt: review.created_at,
+  updatedAt: review.updated_at
+});
+
+// Validate review fields, returns an error message or null.
+// When partial is true only the fields that are present are checked.
+const validateReview = ({ rating, title, body }, partial = false) => {
+  if (!partial || rating !== undefined) {
+    if (!Number.isInteger(Number(rating)) || Number(rating) < 1 || Number(rating) > 5) {
+      return 'Rating must be a whole number from 1 to 5';
+    }
+  }
+  if (!partial || title !== undefined) {
+    if (!title || typeof title !== 'string' || !title.trim()) {
+      return 'Title is required';
+    }
+    if (title.trim().length > 150) {
+      return 'Title must be at most 150 characters';
+    }
+  }
+  if (!partial || body !== undefined) {
+    if (!body || typeof body !== 'string' || !body.trim()) {
+      return 'Review text is required';
+    }
+  }
+  return null;
+};
+
+// Only customers who received the product may review it
+const hasDeliveredOrder = async (userId, productId) => {
+  const [orders] = await pool.query(
+    `SELECT 1
+     FROM orders o
+     JOIN order_items oi ON oi.order_id = o.id
+     WHERE o.user_id = ? AND oi.product_id = ? AND o.status = 'delivered'
+     LIMIT 1`,
+    [userId, productId]
+  );
+  return orders.length > 0;
+};
+
+/**
+ * Average rating, review count and rating distribution of a product,
+ * counting approved reviews only
+ * @param {number} productId - Product ID
+ * @returns {Promise<Object>} { averageRating, reviewCount, distribution }
+ */
+const getRatingSummary = async (productId) => {
+  const [rows] = await pool.query(
+    `SELECT rating, COUNT(*) AS count
+     FROM product_reviews
+     WHERE product_id = ? AND status = 'approved'
+     GROUP BY rating`,
+    [productId]
+  );
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let reviewCount = 0;
+  let ratingTotal = 0;
+  for (const row of rows) {
+    distribution[row.rating] = row.count;
+    reviewCount += row.count;
+    ratingTotal += row.rating * row.count;
+  }
+
+  return {
+    averageRating: reviewCount ? parseFloat((ratingTotal / reviewCount).toFixed(2)) : null,
+    reviewCount,
+    distribution
+  };
+};
+
+// @desc    Get approved reviews of a product with its rating summary
+// @route   GET /api/products/:id/reviews
+// @query   sort (newest, helpful, rating_desc, rating_asc), page, limit
+// @access  Public
+const getProductReviews = async (req, res, next) => {
+  try {
+    const [product] = await pool.query(
+      "SELECT id FROM products WHERE id = ? AND status = 'active'",
+      [req.params.id]
+    );
+
+    if (product.length === 0) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const sort = req.query.sort || 'newest';
+    if (!REVIEW_SORT_OPTIONS[sort]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sort. Allowed values: ${Object.keys(REVIEW_SORT_OPTIONS).join(', ')}`
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const [reviews] = await pool.query(
+      `SELECT r.*, u.name AS author_name
+       FROM product_reviews r
+       JOIN users u ON r.user_id = u.id
+       WHERE r.product_id = ? AND r.status = 'approved'
+       ORDER BY ${REVIEW_SORT_OPTIONS[sort]}
+       LIMIT ? OFFSET ?`,
+      [req.params.id, limit, (page - 1) * limit]
+    );
+
+    const summary = await getRatingSummary(req.params.id);
+
+    res.json({
+      success: true,
+      count: reviews.length,
+      data: reviews.map(formatReview),
+      summary,
+      pagination: {
+        page,
+        limit,
+        total: summary.reviewCount,
+        totalPages: Math.ceil(summary.reviewCount / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Review a product the customer has received
+// @route   POST /api/products/:id/reviews
+// @access  Private
+const createReview = async (req, res, next) => {
+  try {
+    const { rating, title, body } = req.body;
+
+    const validationError = validateReview({ rating, title, body });
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const [product] = await pool.query('SELECT id FROM products WHERE id = ?', [req.params.id]);
+
+    if (product.length === 0) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    if (!(await hasDeliveredOrder(req.user.id, req.params.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only review products from your delivered orders'
+      });
+    }
+
+    const [result] = await pool.query(
+      'INSERT INTO product_reviews (product_id, user_id, rating, title, body) VALUES (?, ?, ?, ?, ?)',
+      [req.params.id, req.user.id, Number(rating), title.trim(), body.trim()]
+    );
+
+    const [review] = await pool.query(
+      `SELECT r.*, u.name AS author_name
+       FROM product_reviews r
+       JOIN users u ON r.user_id = u.id
+       WHERE r.id = ?`,
+      [result.insertId]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Thank you! Your review will appear once it has been approved',
+      data: formatReview(review[0])
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ success: false, message: 'You have already reviewed this product' });
+    }
+    next(error);
+  }
+};
+
+// @desc    Edit your own review (it goes back to moderation)
+// @route   PUT /api/products/:id/reviews/:reviewId
+// @access  Private
+const updateReview = async (req, res, next) => {
+  try {
+    const [reviews] = await pool.query(
+      'SELECT * FROM product_reviews WHERE id = ? AND product_id = ? AND user_id = ?',
+      [req.params.reviewId, req.params.id, req.user.id]
+    );
+
+    if (reviews.length === 0) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    const { rating, title, body } = req.body;
+
+    const validationError = validateReview({ rating, title, body }, true);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const review = reviews[0];
+    await pool.query(
+      `UPDATE product_reviews
+       SET rating = ?, title = ?, body = ?, status = 'pending',
+           moderation_note = NULL, moderated_by = NULL, moderated_at = NULL
+       WHERE id = ?`,
+      [
+        rating !== undefined ? Number(rating) : review.rating,
+        title !== undefined ? title.trim() : review.title,
+        body !== undefined ? body.trim() : review.body,
+        review.id
+      ]
+    );
+
+    const [updated] = await pool.query(
+      `SELECT r.*, u.name AS author_name
+       FROM product_reviews r
+       JOIN users u ON r.user_id = u.id
+       WHERE r.id = ?`,
+      [review.id]
+    );
+
+    res.json({
+      success: true,
+      message: 'Review updated, it will appear again once it has been approved',
+      data: formatReview(updated[0])
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete your own review
+// @route   DELETE /api/products/:id/reviews/:reviewId
+// @access  Private
+const deleteReview = async (req, res, next) => {
+  try {
+    const [result] = await pool.query(
+      'DELETE FROM product_reviews WHERE id = ? AND product_id = ? AND user_id = ?',
+      [req.params.reviewId, req.params.id, req.user.id]
+    );
+
+    if (!result.affectedRows) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    res.json({ success: true, message: 'Review removed' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mark a review as helpful (once per user)
+// @route   POST /api/products/:id/reviews/:reviewId/helpful
+// @access  Private
+const voteReviewHelpful = async (req, res, next) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [reviews] = await connection.query(
+      "SELECT id, user_id FROM product_reviews WHERE id = ? AND product_id = ? AND status = 'approved' FOR UPDATE",
+      [req.params.reviewId, req.params.id]
+    );
+
+    if (reviews.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    if (reviews[0].user_id === req.user.id) {
+      await connection.rollback();
+      return res.status(400).json({ success: false, message: 'You cannot vote on your own review' });
+    }
+
+    const [vote] = await connection.query(
+      'INSERT IGNORE INTO review_votes (review_id, user_id) VALUES (?, ?)',
+      [reviews[0].id, req.user.id]
+    );
+    if (vote.affectedRows) {
+      await connection.query(
+        'UPDATE product_reviews SET helpful_count = helpful_count + 1 WHERE id = ?',
+        [reviews[0].id]
+      );
+    }
+
+    await connection.commit();
+
+    const [review] = await connection.query('SELECT helpful_count FROM product_reviews WHERE id = ?', [reviews[0].id]);
+
+    res.json({
+      success: true,
+      message: vote.affectedRows ? 'Thanks for your feedback' : 'You already found this review helpful',
+      data: { helpfulCount: review[0].helpful_count }
+    });
+  } catch (error) {
+    await connection.rollback();
+    next(error);
+  } finally {
+    connection.release();
+  }
+};
+
+// @desc    Remove your helpful vote from a review
+// @route   DELETE /api/products/:id/reviews/:reviewId/helpful
+// @access  Private
+const removeReviewVote = async (req, res, next) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [vote] = await connection.query(
+      `DELETE rv FROM review_votes rv
+       JOIN product_reviews r ON rv.review_id = r.id
+       WHERE rv.review_id = ? AND r.product_id = ? AND rv.user_id = ?`,
+      [req.params.reviewId, req.params.id, req.user.id]
+    );
+
+    if (!vote.affectedRows) {
+      await connection.rollback();
+      return res.status(404).json({ message: 'Vote not found' });
+    }
+
+    await connection.query(
+      'UPDATE product_reviews SET helpful_count = GREATEST(helpful_count - 1, 0) WHERE id = ?',
+      [req.params.reviewId]
+    );
+
+    await connection.commit();
+
+    res.json({ success: true, message: 'Vote removed' });
+  } catch (error) {
+    await connection.rollback();
+    next(error);
+  } finally {
+    connection.release();
+  }
+};
+
+// @desc    List reviews for moderation
+// @route   GET /api/admin/reviews
+// @query   status (pending, approved, rejected - default pending), productId, page, limit
+// @access  Private (reviews:moderate)
+const getReviewsForModeration = async (req, res, next) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (!REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Allowed values: ${REVIEW_STATUSES.join(', ')}`
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const conditions = ['r.status = ?'];
+    const params = [status];
+    if (req.query.productId) {
+      conditions.push('r.product_id = ?');
+      params.push(req.query.productId);
+    }
+    const where = `WHERE ${conditions.join(' AND ')}`;
+
+    const [countRows] = await pool.query(`SELECT COUNT(*) AS total FROM product_reviews r ${where}`, params);
+    const total = countRows[0].total;
+
+    const [reviews] = await pool.query(
+      `SELECT r.*, u.name AS author_name, u.email AS author_email, p.name AS product_name,
+              m.name AS moderated_by_name
+       FROM product_reviews r
+       JOIN users u ON r.user_id = u.id
+       JOIN products p ON r.product_id = p.id
+       LEFT JOIN users m ON r.moderated_by = m.id
+       ${where}
+       ORDER BY r.created_at ASC, r.id ASC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    res.json({
+      success: true,
+      count: reviews.length,
+      data: reviews.map(review => ({
+        ...formatReview(review),
+        author: { id: review.user_id, name: review.author_name, email: review.author_email },
+        productName: review.product_name,
+        moderationNote: review.moderation_note,
+        moderatedBy: review.moderated_by_name,
+        moderatedAt: review.moderated_at
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Approve or reject a review
+// @route   PUT /api/admin/reviews/:id/status
+// @body    { status: 'approved' | 'rejected' | 'pending', note }
+// @access  Private (reviews:moderate)
+const moderateReview = async (req, res, next) => {
+  try {
+    const { status, note = null } = req.body;
+
+    if (!REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Allowed values: ${REVIEW_STATUSES.join(', ')}`
+      });
+    }
+
+    const [result] = await pool.query(
+      'UPDATE product_reviews SET status = ?, moderation_note = ?, moderated_by = ?, moderated_at = NOW() WHERE id = ?',
+      [status, note ? String(note).slice(0, 255) : null, req.user.id, req.params.id]
+    );
+
+    if (!result.affectedRows) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    res.json({ success: true, message: `Review ${status}` });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getRatingSummary,
+  getProductReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  voteReviewHelpful,
+  removeReviewVote,
+  getReviewsForModeration,
+  moderateReview
+};
@@ -0,0 +1,332 @@
+const pool = require("../config/db");
+const { clearPermissionCache } = require("../middleware/auth");
+
+// Built-in roles the application relies on by name
+const SYSTEM_ROLES = ["admin", "user"];
+
+// --- Role Model Functions ---
+
+/**
+ * Find a role by its ID.
+ */
+const findRoleById = async (id) => {
+  const [rows] = await pool.query("SELECT * FROM roles WHERE id = ?", [id]);
+  return rows[0];
+};
+
+/**
+ * Look up permission IDs by name.
+ * @param {string[]} names - Permission names (e.g. 'orders:update')
+ * @returns {Promise<Object>} { ids, unknown } where unknown lists names that don't exist
+ */
+const resolvePermissions = async (names) => {
+  if (!names.length) {
+    return { ids: [], unknown: [] };
+  }
+
+  const [rows] = await pool.query(
+    "SELECT id, name FROM permissions WHERE name IN (?)",
+    [names]
+  );
+  const found = rows.map((row) => row.name);
+
+  return {
+    ids: rows.map((row) => row.id),
+    unknown: names.filter((name) => !found.includes(name)),
+  };
+};
+
+/**
+ * Replace the permissions of a role.
+ * @param {Object} db - Pool or connection to run the queries on
+ */
+const replaceRolePermissions = async (db, roleId, permissionIds) => {
+  await db.query("DELETE FROM role_permissions WHERE role_id = ?", [roleId]);
+  if (permissionIds.length) {
+    await db.query(
+      "INSERT INTO role_permissions (role_id, permission_id) VALUES ?",
+      [permissionIds.map((permissionId) => [roleId, permissionId])]
+    );
+  }
+};
+
+// --- Role Controller Functions ---
+
+/**
+ * Get all roles with their permissions.
+ */
+const getRoles = async (req, res) => {
+  try {
+    const [roles] = await pool.query("SELECT * FROM roles ORDER BY id");
+    const [grants] = await pool.query(
+      `SELECT rp.role_id, p.name
+       FROM role_permissions rp
+       JOIN permissions p ON rp.permission_id = p.id
+       ORDER BY p.name`
+    );
+
+    res.json(
+      roles.map((role) => ({
+        ...role,
+        permissions: grants
+          .filter((grant) => grant.role_id === role.id)
+          .map((grant) => grant.name),
+      }))
+    );
+  } catch (error) {
+    console.error("Get roles error:", error);
+    res.status(500).json({ message: "Error fetching roles" });
+  }
+};
+
+/**
+ * Get every permission that can be granted to a role.
+ */
+const getPermissions = async (req, res) => {
+  try {
+    const [permissions] = await pool.query(
+      "SELECT * FROM permissions ORDER BY name"
+    );
+    res.json(permissions);
+  } catch (error) {
+    console.error("Get permissions error:", error);
+    res.status(500).json({ message: "Error fetching permissions" });
+  }
+};
+
+/**
+ * Create a role, optionally with an initial set of permissions.
+ */
+const createRole = async (req, res) => {
+  let connection;
+  try {
+    const { name, description, permissions = [] } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ message: "Role name is required" });
+    }
+
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({ message: "permissions must be an array" });
+    }
+
+    const { ids, unknown } = await resolvePermissions(permissions);
+    if (unknown.length) {
+      return res
+        .status(400)
+        .json({ message: `Unknown permissions: ${unknown.join(", ")}` });
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    let roleId;
+    try {
+      const [result] = await connection.query(
+        "INSERT INTO roles (name, description) VALUES (?, ?)",
+        [name, description || null]
+      );
+      roleId = result.insertId;
+
+      await replaceRolePermissions(connection, roleId, ids);
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+
+    clearPermissionCache();
+
+    res.status(201).json({
+      message: "Role created successfully",
+      role: { ...(await findRoleById(roleId)), permissions },
+    });
+  } catch (error) {
+    if (error.code === "ER_DUP_ENTRY") {
+      return res.status(400).json({ message: "Role already exists" });
+    }
+    console.error("Create role error:", error);
+    res.status(500).json({ message: "Error creating role" });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+};
+
+/**
+ * Update a role's name or description.
+ */
+const updateRole = async (req, res) => {
+  try {
+    const role = await findRoleById(req.params.id);
+    if (!role) {
+      return res.status(404).json({ message: "Role not found" });
+    }
+
+    const { name, description } = req.body;
+
+    if (name && name !== role.name && SYSTEM_ROLES.includes(role.name)) {
+      return res
+        .status(400)
+        .json({ message: `The ${role.name} role can't be renamed` });
+    }
+
+    await pool.query("UPDATE roles SET name = ?, description = ? WHERE id = ?", [
+      name || role.name,
+      description !== undefined ? description : role.description,
+      role.id,
+    ]);
+
+    clearPermissionCache();
+
+    res.json({
+      message: "Role updated successfully",
+      role: await findRoleById(role.id),
+    });
+  } catch (error) {
+    if (error.code === "ER_DUP_ENTRY") {
+      return res.status(400).json({ message: "Role already exists" });
+    }
+    console.error("Update role error:", error);
+    res.status(500).json({ message: "Error updating role" });
+  }
+};
+
+/**
+ * Delete a role that no user is assigned to.
+ */
+const deleteRole = async (req, res) => {
+  try {
+    const role = await findRoleById(req.params.id);
+    if (!role) {
+      return res.status(404).json({ message: "Role not found" });
+    }
+
+    if (SYSTEM_ROLES.includes(role.name)) {
+      return res
+        .status(400)
+        .json({ message: `The ${role.name} role can't be deleted` });
+    }
+
+    // users.role_id cascades, so deleting an assigned role would delete users
+    const [users] = await pool.query(
+      "SELECT COUNT(*) AS count FROM users WHERE role_id = ?",
+      [role.id]
+    );
+    if (users[0].count > 0) {
+      return res.status(400).json({
+        message: `Role is assigned to ${users[0].count} user(s), reassign them first`,
+      });
+    }
+
+    await pool.query("DELETE FROM roles WHERE id = ?", [role.id]);
+
+    clearPermissionCache();
+
+    res.json({ message: "Role deleted successfully" });
+  } catch (error) {
+    console.error("Delete role error:", error);
+    res.status(500).json({ message: "Error deleting role" });
+  }
+};
+
+/**
+ * Replace the permissions granted to a role.
+ */
+const setRolePermissions = async (req, res) => {
+  let connection;
+  try {
+    const { permissions } = req.body;
+
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({ message: "permissions must be an array" });
+    }
+
+    const role = await findRoleById(req.params.id);
+    if (!role) {
+      return res.status(404).json({ message: "Role not found" });
+    }
+
+    if (role.name === "admin") {
+      return res
+        .status(400)
+        .json({ message: "The admin role always has every permission" });
+    }
+
+    const { ids, unknown } = await resolvePermissions(permissions);
+    if (unknown.length) {
+      return res
+        .status(400)
+        .json({ message: `Unknown permissions: ${unknown.join(", ")}` });
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    try {
+      await replaceRolePermissions(connection, role.id, ids);
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+
+    clearPermissionCache();
+
+    res.json({
+      message: "Role permissions updated successfully",
+      role: { ...role, permissions },
+    });
+  } catch (error) {
+    console.error("Set role permissions error:", error);
+    res.status(500).json({ message: "Error updating role permissions" });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+};
+
+/**
+ * Require (or stop requiring) 2FA for every user of a role.
+ */
+const setRoleTwoFactor = async (req, res) => {
+  try {
+    const { required } = req.body;
+
+    if (typeof required !== "boolean") {
+      return res.status(400).json({ message: "required must be a boolean" });
+    }
+
+    const [result] = await pool.query(
+      "UPDATE roles SET require_two_factor = ? WHERE id = ?",
+      [required, req.params.id]
+    );
+
+    if (!result.affectedRows) {
+      return res.status(404).json({ message: "Role not found" });
+    }
+
+    clearPermissionCache();
+
+    res.json({
+      message: required
+        ? "Two-factor authentication is now required for this role"
+        : "Two-factor authentication is no longer required for this role",
+    });
+  } catch (error) {
+    console.error("Set role two-factor error:", error);
+    res.status(500).json({ message: "Error updating role" });
+  }
+};
+
+module.exports = {
+  getRoles,
+  getPermissions,
+  createRole,
+  updateRole,
+  deleteRole,
+  setRolePermissions,
+  setRoleTwoFactor,
+};
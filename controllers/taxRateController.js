@@ -0,0 +1,252 @@
+const pool = require('../config/db');
+const { TAX_INCLUSIVE, normalizeZip } = require('../services/tax');
+
+// Shape a tax_rates row (joined with the category name) for API responses
+const formatTaxRate = (rate) => ({
+  id: rate.id,
+  name: rate.name,
+  rate: parseFloat(rate.rate),
+  city: rate.city,
+  zipPrefix: rate.zip_prefix,
+  category: rate.category_id ? { id: rate.category_id, name: rate.category_name } : null,
+  isActive: Boolean(rate.is_active),
+  createdAt: rate.created_at,
+  updatedAt: rate.updated_at
+});
+
+// Load a tax_rates row with its category name
+const getTaxRateRow = async (db, id) => {
+  const [rates] = await db.query(
+    `SELECT t.*, c.name AS category_name
+     FROM tax_rates t
+     LEFT JOIN categories c ON t.category_id = c.id
+     WHERE t.id = ?`,
+    [id]
+  );
+  return rates[0] || null;
+};
+
+// Parse a boolean sent as JSON or as a form/CSV string, undefined when it is
+// neither
+const parseBoolean = (value) => {
+  if ([true, 'true', 1, '1'].includes(value)) {
+    return true;
+  }
+  if ([false, 'false', 0, '0'].includes(value)) {
+    return false;
+  }
+  return undefined;
+};
+
+// Merge the fields of a request body over the current values of a tax rate,
+// returns { values } keyed by column or { error }
+const resolveTaxRateFields = (body, current = {}) => {
+  const values = {
+    name: current.name,
+    rate: current.rate,
+    city: current.city !== undefined ? current.city : null,
+    zip_prefix: current.zip_prefix !== undefined ? current.zip_prefix : null,
+    category_id: current.category_id !== undefined ? current.category_id : null,
+    is_active: current.is_active !== undefined ? Boolean(current.is_active) : true
+  };
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      return { error: 'Name is required' };
+    }
+    values.name = body.name.trim();
+  }
+  if (!values.name) {
+    return { error: 'Name is required' };
+  }
+
+  if (body.rate !== undefined) {
+    const rate = parseFloat(body.rate);
+    if (isNaN(rate) || rate < 0 || rate > 100) {
+      return { error: 'Rate must be a percentage from 0 to 100' };
+    }
+    values.rate = rate;
+  }
+  if (values.rate === undefined) {
+    return { error: 'Rate is required' };
+  }
+
+  if (body.city !== undefined) {
+    values.city = body.city && String(body.city).trim() ? String(body.city).trim() : null;
+  }
+  if (body.zipPrefix !== undefined) {
+    values.zip_prefix = body.zipPrefix ? normalizeZip(body.zipPrefix) || null : null;
+  }
+  if (body.categoryId !== undefined) {
+    if (body.categoryId === null || body.categoryId === '') {
+      values.category_id = null;
+    } else {
+      const categoryId = Number(body.categoryId);
+      if (!Number.isInteger(categoryId) || categoryId < 1) {
+        return { error: 'categoryId must be a category ID' };
+      }
+      values.category_id = categoryId;
+    }
+  }
+  if (body.isActive !== undefined) {
+    const isActive = parseBoolean(body.isActive);
+    if (isActive === undefined) {
+      return { error: 'isActive must be true or false' };
+    }
+    values.is_active = isActive;
+  }
+
+  return { values };
+};
+
+// Two active rates for the same region and category would make the rate
+// that applies ambiguous
+const findConflictingRate = async (db, values, excludeId = null) => {
+  if (!values.is_active) {
+    return null;
+  }
+  const [rates] = await db.query(
+    `SELECT id, name FROM tax_rates
+     WHERE is_active = TRUE AND city <=> ? AND zip_prefix <=> ? AND category_id <=> ? AND id <> ?`,
+    [values.city, values.zip_prefix, values.category_id, excludeId || 0]
+  );
+  return rates[0] || null;
+};
+
+// Check that the category of a rate exists
+const categoryExists = async (db, categoryId) => {
+  if (!categoryId) {
+    return true;
+  }
+  const [categories] = await db.query('SELECT id FROM categories WHERE id = ?', [categoryId]);
+  return categories.length > 0;
+};
+
+// @desc    List tax rates and the pricing mode
+// @route   GET /api/admin/tax-rates
+// @access  Private (taxes:manage)
+const getTaxRates = async (req, res, next) => {
+  try {
+    const [rates] = await pool.query(
+      `SELECT t.*, c.name AS category_name
+       FROM tax_rates t
+       LEFT JOIN categories c ON t.category_id = c.id
+       ORDER BY t.city IS NULL, t.city, t.zip_prefix IS NULL, t.zip_prefix, t.category_id IS NULL, c.name, t.id`
+    );
+
+    res.json({
+      success: true,
+      taxInclusive: TAX_INCLUSIVE,
+      count: rates.length,
+      data: rates.map(formatTaxRate)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a tax rate. Leave city, zipPrefix or categoryId out to apply
+//          it to every city, zip code or category.
+// @route   POST /api/admin/tax-rates
+// @body    { name, rate, city?, zipPrefix?, categoryId?, isActive? }
+// @access  Private (taxes:manage)
+const createTaxRate = async (req, res, next) => {
+  try {
+    const { values, error } = resolveTaxRateFields(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    if (!(await categoryExists(pool, values.category_id))) {
+      return res.status(400).json({ success: false, message: 'Category not found' });
+    }
+
+    const conflict = await findConflictingRate(pool, values);
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        message: `Tax rate "${conflict.name}" already applies to this region and category`
+      });
+    }
+
+    const [result] = await pool.query(
+      'INSERT INTO tax_rates (name, rate, city, zip_prefix, category_id, is_active) VALUES (?, ?, ?, ?, ?, ?)',
+      [values.name, values.rate, values.city, values.zip_prefix, values.category_id, values.is_active]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Tax rate created',
+      data: formatTaxRate(await getTaxRateRow(pool, result.insertId))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update a tax rate. Orders keep the rates they were placed with.
+// @route   PUT /api/admin/tax-rates/:id
+// @access  Private (taxes:manage)
+const updateTaxRate = async (req, res, next) => {
+  try {
+    const current = await getTaxRateRow(pool, req.params.id);
+
+    if (!current) {
+      return res.status(404).json({ message: 'Tax rate not found' });
+    }
+
+    const { values, error } = resolveTaxRateFields(req.body, current);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    if (!(await categoryExists(pool, values.category_id))) {
+      return res.status(400).json({ success: false, message: 'Category not found' });
+    }
+
+    const conflict = await findConflictingRate(pool, values, current.id);
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        message: `Tax rate "${conflict.name}" already applies to this region and category`
+      });
+    }
+
+    await pool.query(
+      'UPDATE tax_rates SET name = ?, rate = ?, city = ?, zip_prefix = ?, category_id = ?, is_active = ? WHERE id = ?',
+      [values.name, values.rate, values.city, values.zip_prefix, values.category_id, values.is_active, current.id]
+    );
+
+    res.json({
+      success: true,
+      message: 'Tax rate updated',
+      data: formatTaxRate(await getTaxRateRow(pool, current.id))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a tax rate. Orders keep the rates they were placed with.
+// @route   DELETE /api/admin/tax-rates/:id
+// @access  Private (taxes:manage)
+const deleteTaxRate = async (req, res, next) => {
+  try {
+    const [result] = await pool.query('DELETE FROM tax_rates WHERE id = ?', [req.params.id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Tax rate not found' });
+    }
+
+    res.json({ success: true, message: 'Tax rate deleted' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTaxRates,
+  createTaxRate,
+  updateTaxRate,
+  deleteTaxRate
+};
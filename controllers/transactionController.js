@@ -1,4 +1,6 @@
 const pool = require('../config/db');
+const { hasPermission } = require('../middleware/auth');
+const { restockOrder } = require('../services/inventory');
 
 // @desc    Get all transactions (Admin only)
 // @route   GET /api/transactions
@@ -30,7 +32,7 @@ const getTransactions = async (req, res, next) => {
 const getTransactionById = async (req, res, next) => {
   try {
     const [transaction] = await pool.query(
-      `SELECT t.*, o.order_number, o.total_amount, u.name as user_name, u.email as user_email 
+      `SELECT t.*, o.order_number, o.total_amount, o.user_id, u.name as user_name, u.email as user_email 
        FROM transactions t
        JOIN orders o ON t.order_id = o.id
        JOIN users u ON o.user_id = u.id
@@ -45,8 +47,11 @@ const getTransactionById = async (req, res, next) => {
       });
     }
     
-    // Verify user has access to this transaction (either admin or the owner)
-    if (req.user.role !== 'admin' && transaction[0].user_id !== req.user.id) {
+    // Verify user has access to this transaction (either staff or the owner).
+    // An API key acts for the admin who created it, so it needs the
+    // transactions:read scope even for that admin's own transactions.
+    const isOwner = !req.apiKey && transaction[0].user_id === req.user.id;
+    if (!isOwner && !(await hasPermission(req, 'transactions:read'))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access this transaction'
@@ -61,9 +66,8 @@ const getTransactionById = async (req, res, next) => {
     
     // Get order items
     const [items] = await pool.query(
-      `SELECT oi.*, p.name, p.image_url as imageUrl 
+      `SELECT oi.*, oi.product_name as name, oi.image_url as imageUrl 
        FROM order_items oi 
-       JOIN products p ON oi.product_id = p.id 
        WHERE oi.order_id = ?`,
       [transaction[0].order_id]
     );
@@ -174,13 +178,14 @@ const processRefund = async (req, res, next) => {
     
     const { amount, reason } = req.body;
     
-    // Get transaction details
+    // Get transaction details, locked so it can't be refunded twice
     const [transaction] = await connection.query(
-      'SELECT * FROM transactions WHERE id = ?',
+      'SELECT * FROM transactions WHERE id = ? FOR UPDATE',
       [req.params.id]
     );
     
     if (transaction.length === 0) {
+      await connection.rollback();
       return res.status(404).json({
         success: false,
         message: 'Transaction not found'
@@ -189,12 +194,29 @@ const processRefund = async (req, res, next) => {
     
     // Check if already refunded
     if (transaction[0].status === 'refunded') {
+      await connection.rollback();
       return res.status(400).json({
         success: false,
         message: 'This transaction has already been refunded'
       });
     }
     
+    // The amount paid is net of coupon discounts, a refund can't exceed it
+    const paid = parseFloat(transaction[0].amount);
+    if (amount !== undefined && (isNaN(parseFloat(amount)) || parseFloat(amount) <= 0 || parseFloat(amount) > paid)) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `Refund amount must be greater than 0 and at most the ${paid.toFixed(2)} paid`
+      });
+    }
+    
+    // Lock the order so a concurrent cancellation can't restock it too
+    const [order] = await connection.query(
+      'SELECT status FROM orders WHERE id = ? FOR UPDATE',
+      [transaction[0].order_id]
+    );
+    
     // Update transaction status
     await connection.query(
       'UPDATE transactions SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
@@ -210,20 +232,16 @@ const processRefund = async (req, res, next) => {
     // Add to status history
     await connection.query(
       'INSERT INTO order_status_history (order_id, status, notes) VALUES (?, ?, ?)',
-      [transaction[0].order_id, 'refunded', `Refund processed: ${reason || 'No reason provided'}. Amount: ${amount || 'Full amount'}`]
-    );
-    
-    // Return stock if needed
-    const [items] = await connection.query(
-      'SELECT product_id, quantity FROM order_items WHERE order_id = ?',
-      [transaction[0].order_id]
+      [transaction[0].order_id, 'refunded', `Refund processed: ${reason || 'No reason provided'}. Amount: ${amount ? parseFloat(amount).toFixed(2) : `${paid.toFixed(2)} (full amount)`}`]
     );
     
-    for (const item of items) {
-      await connection.query(
-        'UPDATE products SET stock = stock + ? WHERE id = ?',
-        [item.quantity, item.product_id]
-      );
+    // Return stock, unless the order was cancelled or refunded before and
+    // its stock is already back
+    if (order.length && !['cancelled', 'refunded'].includes(order[0].status)) {
+      await restockOrder(connection, transaction[0].order_id, {
+        reason: 'refund',
+        userId: req.user.id
+      });
     }
     
     await connection.commit();
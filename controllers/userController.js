@@ -0,0 +1,281 @@
+const pool = require("../config/db");
+const { findUserById, revokeAllSessions } = require("./auth");
+const { canGrantRole } = require("../middleware/auth");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Columns that are safe to return to admins
+const USER_COLUMNS = `u.id, u.name, u.email, u.role_id, r.name AS role_name,
+  u.email_verified_at, u.locked_until, u.two_factor_enabled_at,
+  u.deactivated_at, u.created_at, u.updated_at`;
+
+// --- User Management Controller Functions ---
+
+/**
+ * List users with pagination and search (admin only).
+ * Query: q (name/email), role (name or id), status (active|deactivated), page, limit
+ */
+const getUsers = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+      MAX_PAGE_SIZE
+    );
+    const { q, role, status } = req.query;
+
+    const conditions = [];
+    const params = [];
+
+    if (q) {
+      conditions.push("(u.name LIKE ? OR u.email LIKE ?)");
+      params.push(`%${q}%`, `%${q}%`);
+    }
+
+    if (role) {
+      conditions.push(/^\d+$/.test(role) ? "u.role_id = ?" : "r.name = ?");
+      params.push(role);
+    }
+
+    if (status === "active") {
+      conditions.push("u.deactivated_at IS NULL");
+    } else if (status === "deactivated") {
+      conditions.push("u.deactivated_at IS NOT NULL");
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    const [countRows] = await pool.query(
+      `SELECT COUNT(*) AS total FROM users u JOIN roles r ON u.role_id = r.id ${where}`,
+      params
+    );
+    const total = countRows[0].total;
+
+    const [users] = await pool.query(
+      `SELECT ${USER_COLUMNS}
+       FROM users u
+       JOIN roles r ON u.role_id = r.id
+       ${where}
+       ORDER BY u.created_at DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    res.json({
+      users,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get users error:", error);
+    res.status(500).json({ message: "Error fetching users" });
+  }
+};
+
+/**
+ * Get a user with their order statistics (admin only).
+ */
+const getUserDetails = async (req, res) => {
+  try {
+    const [users] = await pool.query(
+      `SELECT ${USER_COLUMNS}
+       FROM users u
+       JOIN roles r ON u.role_id = r.id
+       WHERE u.id = ?`,
+      [req.params.id]
+    );
+
+    if (!users.length) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    // Cancelled and refunded orders don't count towards the amount spent
+    const [stats] = await pool.query(
+      `SELECT COUNT(*) AS order_count,
+              COALESCE(SUM(CASE WHEN status NOT IN ('cancelled', 'refunded') THEN total_amount ELSE 0 END), 0) AS total_spent,
+              MAX(created_at) AS last_order_at
+       FROM orders
+       WHERE user_id = ?`,
+      [req.params.id]
+    );
+
+    const [sessions] = await pool.query(
+      "SELECT COUNT(*) AS count FROM user_sessions WHERE user_id = ? AND revoked_at IS NULL",
+      [req.params.id]
+    );
+
+    res.json({
+      ...users[0],
+      orderCount: stats[0].order_count,
+      totalSpent: parseFloat(stats[0].total_spent),
+      lastOrderAt: stats[0].last_order_at,
+      activeSessions: sessions[0].count,
+    });
+  } catch (error) {
+    console.error("Get user details error:", error);
+    res.status(500).json({ message: "Error fetching user" });
+  }
+};
+
+/**
+ * Change a user's role (admin only). Without roles:manage, only roles within
+ * the caller's own permissions can be given or taken away.
+ */
+const updateUserRole = async (req, res) => {
+  try {
+    const { roleId } = req.body;
+
+    if (!roleId) {
+      return res.status(400).json({ message: "roleId is required" });
+    }
+
+    if (Number(req.params.id) === req.user.id) {
+      return res.status(400).json({ message: "You can't change your own role" });
+    }
+
+    const user = await findUserById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const [roles] = await pool.query("SELECT id, name FROM roles WHERE id = ?", [
+      roleId,
+    ]);
+    if (!roles.length) {
+      return res.status(400).json({ message: "Invalid role specified" });
+    }
+
+    // Both the new role and the one it replaces must be within the caller's
+    // own permissions, so staff can't promote to admin or demote an admin
+    if (
+      !(await canGrantRole(req, roles[0].id)) ||
+      !(await canGrantRole(req, user.role_id))
+    ) {
+      return res.status(403).json({
+        message: "You can't assign or change a role with permissions you don't have",
+      });
+    }
+
+    await pool.query("UPDATE users SET role_id = ? WHERE id = ?", [
+      roleId,
+      user.id,
+    ]);
+
+    res.json({
+      message: `User role changed to ${roles[0].name}`,
+    });
+  } catch (error) {
+    console.error("Update user role error:", error);
+    res.status(500).json({ message: "Error updating user role" });
+  }
+};
+
+/**
+ * Deactivate a user and sign them out everywhere (admin only). Like role
+ * changes, only users whose role is within the caller's permissions.
+ */
+const deactivateUser = async (req, res) => {
+  try {
+    if (Number(req.params.id) === req.user.id) {
+      return res
+        .status(400)
+        .json({ message: "You can't deactivate your own account" });
+    }
+
+    const user = await findUserById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    // Staff can only manage users whose role is within their own permissions
+    if (!(await canGrantRole(req, user.role_id))) {
+      return res.status(403).json({
+        message: "You can't manage a user with permissions you don't have",
+      });
+    }
+
+    if (user.deactivated_at) {
+      return res.status(400).json({ message: "User is already deactivated" });
+    }
+
+    await pool.query("UPDATE users SET deactivated_at = NOW() WHERE id = ?", [
+      user.id,
+    ]);
+    await revokeAllSessions(user.id);
+
+    res.json({ message: "User deactivated successfully" });
+  } catch (error) {
+    console.error("Deactivate user error:", error);
+    res.status(500).json({ message: "Error deactivating user" });
+  }
+};
+
+/**
+ * Reactivate a deactivated user (admin only).
+ */
+const reactivateUser = async (req, res) => {
+  try {
+    const user = await findUserById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!(await canGrantRole(req, user.role_id))) {
+      return res.status(403).json({
+        message: "You can't manage a user with permissions you don't have",
+      });
+    }
+
+    if (!user.deactivated_at) {
+      return res.status(400).json({ message: "User is not deactivated" });
+    }
+
+    await pool.query("UPDATE users SET deactivated_at = NULL WHERE id = ?", [
+      user.id,
+    ]);
+
+    res.json({ message: "User reactivated successfully" });
+  } catch (error) {
+    console.error("Reactivate user error:", error);
+    res.status(500).json({ message: "Error reactivating user" });
+  }
+};
+
+/**
+ * Revoke every session of a user (admin only).
+ */
+const forceLogoutUser = async (req, res) => {
+  try {
+    const user = await findUserById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!(await canGrantRole(req, user.role_id))) {
+      return res.status(403).json({
+        message: "You can't manage a user with permissions you don't have",
+      });
+    }
+
+    await revokeAllSessions(user.id);
+
+    res.json({ message: "User logged out from all devices" });
+  } catch (error) {
+    console.error("Force logout error:", error);
+    res.status(500).json({ message: "Error logging out user" });
+  }
+};
+
+module.exports = {
+  getUsers,
+  getUserDetails,
+  updateUserRole,
+  deactivateUser,
+  reactivateUser,
+  forceLogoutUser,
+};
@@ -0,0 +1,299 @@
+const pool = require('../config/db');
+const { recordStockMovement, setStock, heldStockSql } = require('../services/inventory');
+const { priceColumnsSql, formatPricing, resolveSaleFields } = require('../services/pricing');
+
+// Parse the options JSON of a variant row
+const parseOptions = (options) => {
+  if (!options) {
+    return {};
+  }
+  return typeof options === 'string' ? JSON.parse(options) : options;
+};
+
+// Select variants with their regular and current price, and the stock not
+// held by checkouts in progress
+const VARIANT_COLUMNS = `v.*, ${priceColumnsSql('v', { variant: true })},
+  v.stock - ${heldStockSql('v.product_id', 'v.id')} AS available_stock`;
+
+// Shape a product_variants row for API responses
+const formatVariant = (variant) => ({
+  id: variant.id,
+  productId: variant.product_id,
+  sku: variant.sku,
+  options: parseOptions(variant.options),
+  ...formatPricing(variant),
+  stock: parseInt(variant.stock) || 0,
+  availableStock: variant.available_stock !== undefined
+    ? Math.max(parseInt(variant.available_stock) || 0, 0)
+    : parseInt(variant.stock) || 0,
+  lowStockThreshold: variant.low_stock_threshold ?? null,
+  sortOrder: variant.sort_order,
+  createdAt: variant.created_at,
+  updatedAt: variant.updated_at
+});
+
+// Validate variant fields, returns an error message or null.
+// When partial is true only the fields that are present are checked.
+const validateVariant = ({ sku, options, price, stock, lowStockThreshold }, partial = false) => {
+  if (!partial || sku !== undefined) {
+    if (!sku || typeof sku !== 'string') {
+      return 'SKU is required';
+    }
+  }
+  if (!partial || options !== undefined) {
+    if (!options || typeof options !== 'object' || Array.isArray(options) ||
+        !Object.values(options).every(value => typeof value === 'string')) {
+      return 'Options must be an object of option names to values, e.g. { "size": "250g" }';
+    }
+  }
+  if (!partial || price !== undefined) {
+    if (isNaN(parseFloat(price)) || parseFloat(price) < 0) {
+      return 'Price must be a non-negative number';
+    }
+  }
+  if (!partial || stock !== undefined) {
+    if (!Number.isInteger(Number(stock)) || Number(stock) < 0) {
+      return 'Stock must be a non-negative integer';
+    }
+  }
+  if (lowStockThreshold !== undefined && lowStockThreshold !== null && lowStockThreshold !== '') {
+    if (!Number.isInteger(Number(lowStockThreshold)) || Number(lowStockThreshold) < 0) {
+      return 'Low stock threshold must be a non-negative integer';
+    }
+  }
+  return null;
+};
+
+// Get all variants of a product, in display order
+const getVariantsForProduct = async (productId) => {
+  const [variants] = await pool.query(
+    `SELECT ${VARIANT_COLUMNS} FROM product_variants v WHERE v.product_id = ? ORDER BY v.sort_order, v.id`,
+    [productId]
+  );
+  return variants.map(formatVariant);
+};
+
+// @desc    Get variants of a product
+// @route   GET /api/products/:id/variants
+// @access  Public
+const getVariants = async (req, res, next) => {
+  try {
+    // Draft and archived products are hidden from customers
+    const [product] = await pool.query(
+      "SELECT id FROM products WHERE id = ? AND status = 'active'",
+      [req.params.id]
+    );
+
+    if (product.length === 0) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const variants = await getVariantsForProduct(req.params.id);
+
+    res.json({
+      success: true,
+      count: variants.length,
+      data: variants
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add a variant to a product
+// @route   POST /api/products/:id/variants
+// @access  Private (products:write)
+const createVariant = async (req, res, next) => {
+  try {
+    const { sku, options, price, stock = 0, sortOrder = 0, lowStockThreshold = null } = req.body;
+
+    const validationError = validateVariant({ sku, options, price, stock, lowStockThreshold });
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const sale = resolveSaleFields(req.body, {}, parseFloat(price));
+    if (sale.error) {
+      return res.status(400).json({ success: false, message: sale.error });
+    }
+
+    const [product] = await pool.query('SELECT id FROM products WHERE id = ?', [req.params.id]);
+
+    if (product.length === 0) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const [result] = await pool.query(
+      'INSERT INTO product_variants (product_id, sku, options, price, sale_price, sale_starts_at, sale_ends_at, stock, sort_order, low_stock_threshold) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [
+        req.params.id,
+        sku.trim(),
+        JSON.stringify(options),
+        parseFloat(price),
+        sale.values.sale_price,
+        sale.values.sale_starts_at,
+        sale.values.sale_ends_at,
+        parseInt(stock),
+        parseInt(sortOrder) || 0,
+        lowStockThreshold === null || lowStockThreshold === '' ? null : parseInt(lowStockThreshold)
+      ]
+    );
+
+    if (parseInt(stock) > 0) {
+      await recordStockMovement(pool, { productId: product[0].id, variantId: result.insertId }, parseInt(stock), parseInt(stock), {
+        reason: 'initial_stock',
+        userId: req.user.id
+      });
+    }
+
+    const [variant] = await pool.query(`SELECT ${VARIANT_COLUMNS} FROM product_variants v WHERE v.id = ?`, [result.insertId]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Variant created successfully',
+      data: formatVariant(variant[0])
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ success: false, message: 'SKU already exists' });
+    }
+    next(error);
+  }
+};
+
+// @desc    Update a variant
+// @route   PUT /api/products/:id/variants/:variantId
+// @access  Private (products:write)
+const updateVariant = async (req, res, next) => {
+  const connection = await pool.getConnection();
+  try {
+    const [variants] = await connection.query(
+      'SELECT * FROM product_variants WHERE id = ? AND product_id = ?',
+      [req.params.variantId, req.params.id]
+    );
+
+    if (variants.length === 0) {
+      return res.status(404).json({ message: 'Variant not found' });
+    }
+
+    const { sku, options, price, stock, sortOrder, lowStockThreshold } = req.body;
+
+    const validationError = validateVariant({ sku, options, price, stock, lowStockThreshold }, true);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const variant = variants[0];
+
+    const sale = resolveSaleFields(req.body, variant, price !== undefined ? parseFloat(price) : variant.price);
+    if (sale.error) {
+      return res.status(400).json({ success: false, message: sale.error });
+    }
+
+    await connection.beginTransaction();
+
+    await connection.query(
+      'UPDATE product_variants SET sku = ?, options = ?, price = ?, sale_price = ?, sale_starts_at = ?, sale_ends_at = ?, sort_order = ?, low_stock_threshold = ? WHERE id = ?',
+      [
+        sku !== undefined ? sku.trim() : variant.sku,
+        options !== undefined ? JSON.stringify(options) : JSON.stringify(parseOptions(variant.options)),
+        price !== undefined ? parseFloat(price) : variant.price,
+        sale.values.sale_price,
+        sale.values.sale_starts_at,
+        sale.values.sale_ends_at,
+        sortOrder !== undefined ? parseInt(sortOrder) || 0 : variant.sort_order,
+        lowStockThreshold === undefined
+          ? variant.low_stock_threshold
+          : lowStockThreshold === null || lowStockThreshold === '' ? null : parseInt(lowStockThreshold),
+        variant.id
+      ]
+    );
+
+    // Stock edits are recorded in the stock ledger
+    if (stock !== undefined) {
+      await setStock(connection, { productId: variant.product_id, variantId: variant.id }, parseInt(stock), {
+        reason: 'product_update',
+        userId: req.user.id
+      });
+    }
+
+    await connection.commit();
+
+    const [updated] = await connection.query(`SELECT ${VARIANT_COLUMNS} FROM product_variants v WHERE v.id = ?`, [variant.id]);
+
+    res.json({
+      success: true,
+      message: 'Variant updated successfully',
+      data: formatVariant(updated[0])
+    });
+  } catch (error) {
+    await connection.rollback();
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ success: false, message: 'SKU already exists' });
+    }
+    next(error);
+  } finally {
+    connection.release();
+  }
+};
+
+// @desc    Delete a variant that has never been ordered, isn't held for a
+//          checkout and has no pending price changes
+// @route   DELETE /api/products/:id/variants/:variantId
+// @access  Private (products:write)
+const deleteVariant = async (req, res, next) => {
+  try {
+    const [variant] = await pool.query(
+      'SELECT id FROM product_variants WHERE id = ? AND product_id = ?',
+      [req.params.variantId, req.params.id]
+    );
+
+    if (variant.length === 0) {
+      return res.status(404).json({ message: 'Variant not found' });
+    }
+
+    // Cancellations and refunds put stock back on the ordered variant
+    const [orderItems] = await pool.query(
+      'SELECT COUNT(*) AS count FROM order_items WHERE variant_id = ?',
+      [variant[0].id]
+    );
+    if (orderItems[0].count > 0) {
+      return res.status(409).json({
+        message: 'Variant has been ordered and cannot be deleted, set its stock to 0 instead'
+      });
+    }
+
+    const [held] = await pool.query(`SELECT ${heldStockSql('?', '?')} AS quantity`, [req.params.id, variant[0].id]);
+    if (Number(held[0].quantity) > 0) {
+      return res.status(409).json({
+        message: 'Variant is held for a checkout in progress and cannot be deleted right now'
+      });
+    }
+
+    const [priceChanges] = await pool.query(
+      'SELECT COUNT(*) AS count FROM scheduled_price_changes WHERE variant_id = ? AND applied_at IS NULL',
+      [variant[0].id]
+    );
+    if (priceChanges[0].count > 0) {
+      return res.status(409).json({
+        message: 'Variant has scheduled price changes, cancel them before deleting it'
+      });
+    }
+
+    await pool.query('DELETE FROM product_variants WHERE id = ?', [variant[0].id]);
+
+    res.json({ success: true, message: 'Variant removed' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  formatVariant,
+  validateVariant,
+  getVariantsForProduct,
+  getVariants,
+  createVariant,
+  updateVariant,
+  deleteVariant
+};
@@ -0,0 +1,33 @@
+-- Create categories table (hierarchical product taxonomy)
+CREATE TABLE IF NOT EXISTS categories (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    slug VARCHAR(120) NOT NULL UNIQUE,
+    parent_id INT NULL,
+    description TEXT,
+    sort_order INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (parent_id) REFERENCES categories(id) ON DELETE RESTRICT,
+    INDEX idx_categories_parent (parent_id, sort_order)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+ALTER TABLE products
+ADD COLUMN category_id INT NULL AFTER name,
+ADD FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE RESTRICT;
+
+-- Turn the existing free-text categories into top-level categories.
+-- Strings that only differ by case or spacing ("Dark Chocolate" and
+-- "dark  chocolate") end up in the same category; near-duplicates such as
+-- "Dark" get their own category and can be folded in afterwards with
+-- POST /api/categories/:id/merge.
+INSERT IGNORE INTO categories (name, slug)
+SELECT MIN(TRIM(category)) AS name,
+       TRIM(BOTH '-' FROM REGEXP_REPLACE(LOWER(TRIM(category)), '[^a-z0-9]+', '-')) AS slug
+FROM products
+GROUP BY slug;
+
+UPDATE products p
+JOIN categories c
+  ON c.slug = TRIM(BOTH '-' FROM REGEXP_REPLACE(LOWER(TRIM(p.category)), '[^a-z0-9]+', '-'))
+SET p.category_id = c.id, p.category = c.name;
@@ -0,0 +1,77 @@
+-- Create coupons table (codes are stored upper-case; value is a percentage
+-- for percentage coupons, an amount for fixed coupons and NULL for free shipping)
+CREATE TABLE IF NOT EXISTS coupons (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    code VARCHAR(50) NOT NULL UNIQUE,
+    description VARCHAR(255) NULL,
+    type ENUM('percentage', 'fixed', 'free_shipping') NOT NULL,
+    value DECIMAL(10, 2) NULL,
+    min_spend DECIMAL(10, 2) NULL,
+    starts_at DATETIME NULL,
+    ends_at DATETIME NULL,
+    usage_limit INT NULL,
+    usage_limit_per_customer INT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Products and categories (with their subcategories) a coupon is limited to.
+-- A coupon without either applies to every product.
+CREATE TABLE IF NOT EXISTS coupon_products (
+    coupon_id INT NOT NULL,
+    product_id INT NOT NULL,
+    PRIMARY KEY (coupon_id, product_id),
+    FOREIGN KEY (coupon_id) REFERENCES coupons(id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE IF NOT EXISTS coupon_categories (
+    coupon_id INT NOT NULL,
+    category_id INT NOT NULL,
+    PRIMARY KEY (coupon_id, category_id),
+    FOREIGN KEY (coupon_id) REFERENCES coupons(id) ON DELETE CASCADE,
+    FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Create order_discounts table (coupons applied to an order, with a snapshot
+-- of the code; also the usage count of each coupon)
+CREATE TABLE IF NOT EXISTS order_discounts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    order_id INT NOT NULL,
+    coupon_id INT NULL,
+    code VARCHAR(50) NOT NULL,
+    type ENUM('percentage', 'fixed', 'free_shipping') NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL,
+    shipping_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+    FOREIGN KEY (coupon_id) REFERENCES coupons(id) ON DELETE SET NULL,
+    INDEX idx_order_discounts_coupon (coupon_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- The coupon applied to a cart
+ALTER TABLE carts
+    ADD COLUMN coupon_id INT NULL AFTER user_id,
+    ADD CONSTRAINT fk_carts_coupon FOREIGN KEY (coupon_id) REFERENCES coupons(id) ON DELETE SET NULL;
+
+-- Order totals: total_amount = subtotal_amount - discount_amount + shipping_amount
+ALTER TABLE orders
+    ADD COLUMN subtotal_amount DECIMAL(10, 2) NULL AFTER order_number,
+    ADD COLUMN discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER subtotal_amount,
+    ADD COLUMN shipping_amount DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER discount_amount;
+
+UPDATE orders SET subtotal_amount = total_amount WHERE subtotal_amount IS NULL;
+
+-- Each order item's share of the order's coupon discounts
+ALTER TABLE order_items
+    ADD COLUMN discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER regular_price;
+
+INSERT IGNORE INTO permissions (name, description) VALUES
+('coupons:manage', 'Create and manage discount coupons');
+
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p ON p.name = 'coupons:manage'
+WHERE r.name = 'admin';
@@ -0,0 +1,3 @@
+-- Allow admins to deactivate user accounts
+ALTER TABLE users
+ADD COLUMN deactivated_at TIMESTAMP NULL DEFAULT NULL AFTER two_factor_last_counter;
@@ -0,0 +1,17 @@
+-- Track when a user's email address was verified
+ALTER TABLE users
+ADD COLUMN email_verified_at TIMESTAMP NULL DEFAULT NULL AFTER role_id;
+
+-- Existing accounts predate verification, treat them as verified
+UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL;
+
+-- Create email_verification_tokens table (tokens are stored as SHA-256 hashes)
+CREATE TABLE IF NOT EXISTS email_verification_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP NULL DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
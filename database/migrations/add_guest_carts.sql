@@ -0,0 +1,5 @@
+-- Guest carts have no user and expire after GUEST_CART_TTL_DAYS without use
+ALTER TABLE carts
+MODIFY COLUMN user_id INT NULL,
+ADD COLUMN expires_at TIMESTAMP NULL AFTER user_id,
+ADD INDEX idx_carts_expires (expires_at);
@@ -0,0 +1,19 @@
+-- Track consecutive failed logins and temporary lockouts per account
+ALTER TABLE users
+ADD COLUMN failed_login_attempts INT NOT NULL DEFAULT 0 AFTER email_verified_at,
+ADD COLUMN locked_until TIMESTAMP NULL DEFAULT NULL AFTER failed_login_attempts;
+
+-- Create login_attempts table (login history and brute-force tracking)
+CREATE TABLE IF NOT EXISTS login_attempts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NULL,
+    email VARCHAR(100) NOT NULL,
+    ip_address VARCHAR(45),
+    user_agent VARCHAR(255),
+    success BOOLEAN NOT NULL DEFAULT FALSE,
+    failure_reason VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_login_attempts_user (user_id, created_at),
+    INDEX idx_login_attempts_ip (ip_address, created_at)
+);
@@ -0,0 +1,43 @@
+-- Create permissions table
+CREATE TABLE IF NOT EXISTS permissions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    description VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create role_permissions table (many-to-many between roles and permissions)
+CREATE TABLE IF NOT EXISTS role_permissions (
+    role_id INT NOT NULL,
+    permission_id INT NOT NULL,
+    PRIMARY KEY (role_id, permission_id),
+    FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+    FOREIGN KEY (permission_id) REFERENCES permissions(id) ON DELETE CASCADE
+);
+
+-- Insert permissions
+INSERT IGNORE INTO permissions (name, description) VALUES
+('products:write', 'Create, update and delete products'),
+('orders:read', 'View all customer orders'),
+('orders:update', 'Update order status'),
+('orders:refund', 'Refund order transactions'),
+('transactions:read', 'View all transactions'),
+('users:manage', 'Manage user accounts'),
+('roles:manage', 'Manage roles and their permissions');
+
+-- Insert staff roles
+INSERT IGNORE INTO roles (name, description) VALUES
+('fulfilment_staff', 'Staff who can view orders and update their status'),
+('catalog_editor', 'Staff who can manage the product catalog');
+
+-- Admins keep every permission
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r CROSS JOIN permissions p WHERE r.name = 'admin';
+
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p ON p.name IN ('orders:read', 'orders:update')
+WHERE r.name = 'fulfilment_staff';
+
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p ON p.name IN ('products:write')
+WHERE r.name = 'catalog_editor';
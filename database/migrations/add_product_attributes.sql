@@ -0,0 +1,13 @@
+-- Structured product attributes (NULL means not entered yet):
+--   allergens / allergen_traces - JSON arrays of allergen codes the product
+--                                 contains / may contain traces of
+--   dietary_labels              - JSON array, e.g. ["vegan", "gluten_free"]
+--   nutrition                   - JSON object of nutrition facts per 100 g
+ALTER TABLE products
+ADD COLUMN allergens JSON NULL AFTER key_features,
+ADD COLUMN allergen_traces JSON NULL AFTER allergens,
+ADD COLUMN dietary_labels JSON NULL AFTER allergen_traces,
+ADD COLUMN cocoa_percentage DECIMAL(5, 2) NULL AFTER dietary_labels,
+ADD COLUMN ingredients TEXT NULL AFTER cocoa_percentage,
+ADD COLUMN nutrition JSON NULL AFTER ingredients,
+ADD INDEX idx_products_cocoa (cocoa_percentage);
@@ -0,0 +1,8 @@
+-- Record which storage driver holds each image, so files can be deleted
+-- after the configured driver changes. Existing images are on Cloudinary.
+ALTER TABLE product_images
+ADD COLUMN storage VARCHAR(20) NOT NULL DEFAULT 'cloudinary' AFTER url,
+CHANGE COLUMN public_id storage_key VARCHAR(255) NULL;
+
+ALTER TABLE product_images
+ALTER COLUMN storage DROP DEFAULT;
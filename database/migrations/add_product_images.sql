@@ -0,0 +1,21 @@
+-- Create product_images table (ordered gallery, the primary image is mirrored to products.image_url)
+CREATE TABLE IF NOT EXISTS product_images (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    product_id INT NOT NULL,
+    url VARCHAR(255) NOT NULL,
+    public_id VARCHAR(255) NULL,
+    alt_text VARCHAR(255) NOT NULL DEFAULT '',
+    sort_order INT NOT NULL DEFAULT 0,
+    is_primary BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    INDEX idx_product_images_product (product_id, sort_order)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Existing product images become the primary image of their gallery.
+-- public_id is left empty, it is derived from the Cloudinary URL when the
+-- image is deleted.
+INSERT INTO product_images (product_id, url, alt_text, sort_order, is_primary)
+SELECT id, image_url, name, 0, TRUE
+FROM products
+WHERE image_url IS NOT NULL AND image_url <> '';
@@ -0,0 +1,5 @@
+-- Indexes backing search, filtering and sorting on GET /api/products
+ALTER TABLE products
+ADD INDEX idx_products_category (category),
+ADD INDEX idx_products_price (price),
+ADD FULLTEXT INDEX ft_products_search (name, description);
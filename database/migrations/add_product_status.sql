@@ -0,0 +1,28 @@
+-- Product lifecycle: only active products are listed publicly
+ALTER TABLE products
+ADD COLUMN status ENUM('draft', 'active', 'archived') NOT NULL DEFAULT 'active' AFTER image_url,
+ADD INDEX idx_products_status (status);
+
+-- Snapshot what was bought so order history survives product changes
+ALTER TABLE order_items
+ADD COLUMN product_name VARCHAR(255) NULL AFTER variant_id,
+ADD COLUMN sku VARCHAR(64) NULL AFTER product_name,
+ADD COLUMN image_url VARCHAR(255) NULL AFTER sku;
+
+UPDATE order_items oi
+JOIN products p ON oi.product_id = p.id
+LEFT JOIN product_variants v ON oi.variant_id = v.id
+SET oi.product_name = p.name, oi.sku = v.sku, oi.image_url = p.image_url;
+
+ALTER TABLE order_items
+MODIFY COLUMN product_name VARCHAR(255) NOT NULL;
+
+-- Deleting a product must no longer delete order lines.
+-- order_items_ibfk_2 is the name MySQL generated for the product_id foreign
+-- key in the original schema; check SHOW CREATE TABLE order_items if the
+-- table was created differently.
+ALTER TABLE order_items
+DROP FOREIGN KEY order_items_ibfk_2;
+
+ALTER TABLE order_items
+ADD CONSTRAINT fk_order_items_product FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE RESTRICT;
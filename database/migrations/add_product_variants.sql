@@ -0,0 +1,27 @@
+-- Create product_variants table (sizes/packs of a product, each with its own SKU, price and stock)
+CREATE TABLE IF NOT EXISTS product_variants (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    product_id INT NOT NULL,
+    sku VARCHAR(64) NOT NULL UNIQUE,
+    options JSON NOT NULL,
+    price DECIMAL(10, 2) NOT NULL,
+    stock INT NOT NULL DEFAULT 0,
+    sort_order INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Record which variant was ordered
+ALTER TABLE order_items
+ADD COLUMN variant_id INT NULL AFTER product_id,
+ADD FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE SET NULL;
+
+-- Cart lines are unique per product and variant. NULLs never collide in a
+-- unique key, so products without variants are keyed on variant_key (0).
+ALTER TABLE cart_items
+ADD COLUMN variant_id INT NULL AFTER product_id,
+ADD COLUMN variant_key INT AS (COALESCE(variant_id, 0)) VIRTUAL AFTER variant_id,
+ADD FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+ADD UNIQUE KEY unique_cart_product_variant (cart_id, product_id, variant_key),
+DROP INDEX unique_cart_product;
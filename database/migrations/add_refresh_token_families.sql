@@ -0,0 +1,22 @@
+-- Create user_sessions table (one row per login, i.e. per refresh token family)
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    user_agent VARCHAR(255),
+    ip_address VARCHAR(45),
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMP NULL DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Raw refresh tokens can't be attached to a session, so everyone signs in again
+DELETE FROM refresh_tokens;
+
+-- Store refresh tokens hashed and group them into sessions
+ALTER TABLE refresh_tokens
+DROP COLUMN token,
+ADD COLUMN session_id INT NOT NULL AFTER user_id,
+ADD COLUMN token_hash CHAR(64) NOT NULL UNIQUE AFTER session_id,
+ADD COLUMN revoked_at TIMESTAMP NULL DEFAULT NULL AFTER expires_at,
+ADD FOREIGN KEY (session_id) REFERENCES user_sessions(id) ON DELETE CASCADE;
@@ -0,0 +1,32 @@
+-- Sale prices with an optional start/end window
+ALTER TABLE products
+ADD COLUMN sale_price DECIMAL(10, 2) NULL AFTER price,
+ADD COLUMN sale_starts_at DATETIME NULL AFTER sale_price,
+ADD COLUMN sale_ends_at DATETIME NULL AFTER sale_starts_at;
+
+ALTER TABLE product_variants
+ADD COLUMN sale_price DECIMAL(10, 2) NULL AFTER price,
+ADD COLUMN sale_starts_at DATETIME NULL AFTER sale_price,
+ADD COLUMN sale_ends_at DATETIME NULL AFTER sale_starts_at;
+
+-- Price before any sale, next to the price paid
+ALTER TABLE order_items
+ADD COLUMN regular_price DECIMAL(10, 2) NULL AFTER price;
+
+-- Create scheduled_price_changes table (future regular price changes of a
+-- product or variant; due changes are folded into the price column)
+CREATE TABLE IF NOT EXISTS scheduled_price_changes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    product_id INT NOT NULL,
+    variant_id INT NULL,
+    price DECIMAL(10, 2) NOT NULL,
+    effective_at DATETIME NOT NULL,
+    applied_at TIMESTAMP NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_scheduled_price_changes_due (applied_at, effective_at),
+    INDEX idx_scheduled_price_changes_product (product_id, variant_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
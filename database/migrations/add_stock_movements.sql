@@ -0,0 +1,45 @@
+-- Create stock_movements table (append-only stock ledger: every stock change
+-- with its reason, the order or user behind it and the resulting stock).
+-- The variant's SKU is kept so its history survives the variant being deleted.
+CREATE TABLE IF NOT EXISTS stock_movements (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    product_id INT NOT NULL,
+    variant_id INT NULL,
+    sku VARCHAR(64) NULL,
+    delta INT NOT NULL,
+    stock_after INT NOT NULL,
+    reason VARCHAR(32) NOT NULL,
+    note VARCHAR(255) NULL,
+    order_id INT NULL,
+    user_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE SET NULL,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_stock_movements_product (product_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Per product/variant low-stock thresholds (NULL uses LOW_STOCK_THRESHOLD)
+ALTER TABLE products
+ADD COLUMN low_stock_threshold INT NULL AFTER status;
+
+ALTER TABLE product_variants
+ADD COLUMN low_stock_threshold INT NULL AFTER stock;
+
+-- Opening balance so the ledger explains today's stock levels
+INSERT INTO stock_movements (product_id, variant_id, delta, stock_after, reason, note)
+SELECT id, NULL, stock, stock, 'opening_balance', 'Stock when the ledger was introduced'
+FROM products
+WHERE NOT EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = products.id);
+
+INSERT INTO stock_movements (product_id, variant_id, sku, delta, stock_after, reason, note)
+SELECT product_id, id, sku, stock, stock, 'opening_balance', 'Stock when the ledger was introduced'
+FROM product_variants;
+
+INSERT IGNORE INTO permissions (name, description) VALUES
+('inventory:manage', 'Adjust stock and view stock movements and alerts');
+
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p ON p.name = 'inventory:manage'
+WHERE r.name IN ('admin', 'catalog_editor');
@@ -0,0 +1,29 @@
+-- Create stock_reservations table (stock held for a cart during checkout;
+-- a reservation holds stock while it is active and not expired)
+CREATE TABLE IF NOT EXISTS stock_reservations (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    cart_id INT NULL,
+    user_id INT NOT NULL,
+    status ENUM('active', 'completed', 'released', 'expired') NOT NULL DEFAULT 'active',
+    expires_at TIMESTAMP NOT NULL,
+    order_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (cart_id) REFERENCES carts(id) ON DELETE SET NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL,
+    INDEX idx_stock_reservations_active (status, expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Create stock_reservation_items table (quantities held by a reservation)
+CREATE TABLE IF NOT EXISTS stock_reservation_items (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    reservation_id INT NOT NULL,
+    product_id INT NOT NULL,
+    variant_id INT NULL,
+    quantity INT NOT NULL,
+    FOREIGN KEY (reservation_id) REFERENCES stock_reservations(id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+    INDEX idx_stock_reservation_items_product (product_id, variant_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
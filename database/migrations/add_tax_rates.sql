@@ -0,0 +1,44 @@
+-- Create tax_rates table (rate is a percentage; a rate without city,
+-- zip_prefix or category_id applies to every city, zip code or category,
+-- and a category rate also covers its subcategories)
+CREATE TABLE IF NOT EXISTS tax_rates (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    rate DECIMAL(7, 4) NOT NULL,
+    city VARCHAR(100) NULL,
+    zip_prefix VARCHAR(20) NULL,
+    category_id INT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE,
+    INDEX idx_tax_rates_region (city, zip_prefix)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Create order_item_taxes table (tax lines of each order item, with a
+-- snapshot of the rate for invoices)
+CREATE TABLE IF NOT EXISTS order_item_taxes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    order_item_id INT NOT NULL,
+    tax_rate_id INT NULL,
+    name VARCHAR(100) NOT NULL,
+    rate DECIMAL(7, 4) NOT NULL,
+    taxable_amount DECIMAL(10, 2) NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE CASCADE,
+    FOREIGN KEY (tax_rate_id) REFERENCES tax_rates(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Order tax: with tax-inclusive prices the tax is part of subtotal_amount,
+-- otherwise it is added to total_amount
+ALTER TABLE orders
+    ADD COLUMN tax_amount DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER shipping_amount,
+    ADD COLUMN tax_inclusive BOOLEAN NOT NULL DEFAULT FALSE AFTER tax_amount;
+
+INSERT IGNORE INTO permissions (name, description) VALUES
+('taxes:manage', 'Manage tax rates');
+
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p ON p.name = 'taxes:manage'
+WHERE r.name = 'admin';
@@ -0,0 +1,19 @@
+-- Allow roles to require two-factor authentication
+ALTER TABLE roles
+ADD COLUMN require_two_factor BOOLEAN NOT NULL DEFAULT FALSE AFTER description;
+
+-- TOTP secret (pending until confirmed) and last accepted time step
+ALTER TABLE users
+ADD COLUMN two_factor_secret VARCHAR(64) NULL DEFAULT NULL AFTER locked_until,
+ADD COLUMN two_factor_enabled_at TIMESTAMP NULL DEFAULT NULL AFTER two_factor_secret,
+ADD COLUMN two_factor_last_counter BIGINT NULL DEFAULT NULL AFTER two_factor_enabled_at;
+
+-- Create two_factor_recovery_codes table (codes are stored as SHA-256 hashes)
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    code_hash CHAR(64) NOT NULL,
+    used_at TIMESTAMP NULL DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
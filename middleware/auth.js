@@ -1,32 +1,232 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const pool = require('../config/db');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your_jwt_secret_key';
 const JWT_EXPIRES_IN = '1h';
-const REFRESH_TOKEN_EXPIRY = '7d';
+const ACCESS_TOKEN_MAX_AGE_MS = 60 * 60 * 1000;
+const REFRESH_TOKEN_EXPIRY_DAYS = 7;
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = '5m';
+const GUEST_CART_TTL_DAYS = parseInt(process.env.GUEST_CART_TTL_DAYS, 10) || 30;
+const PERMISSION_CACHE_TTL_MS = parseInt(process.env.PERMISSION_CACHE_TTL_MS, 10) || 60 * 1000;
 
-// Generate JWT token
-const generateToken = (user) => {
+// Cookie auth mode settings
+const ACCESS_TOKEN_COOKIE = 'access_token';
+const REFRESH_TOKEN_COOKIE = 'refresh_token';
+const CSRF_COOKIE = 'csrf_token';
+const CSRF_HEADER = 'x-csrf-token';
+const CART_TOKEN_COOKIE = 'cart_token';
+const CART_TOKEN_HEADER = 'x-cart-token';
+const API_KEY_HEADER = 'x-api-key';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const cookieOptions = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: process.env.COOKIE_SAME_SITE || 'strict'
+};
+
+// Roles and their permissions, keyed by role id: { role, expiresAt }
+const roleCache = new Map();
+
+// Generate JWT token (sessionId ties the access token to a login session)
+const generateToken = (user, sessionId) => {
     return jwt.sign(
-        { id: user.id, email: user.email, role: user.role_id },
+        { id: user.id, email: user.email, role: user.role_id, sid: sessionId },
         JWT_SECRET,
         { expiresIn: JWT_EXPIRES_IN }
     );
 };
 
-// Generate refresh token
-const generateRefreshToken = (user) => {
+// Generate a short-lived challenge token for the second step of a 2FA login.
+// It is signed with a different secret so it can never pass as an access token.
+const generateTwoFactorChallenge = (user) => {
     return jwt.sign(
         { id: user.id },
-        JWT_SECRET + user.password,
-        { expiresIn: REFRESH_TOKEN_EXPIRY }
+        JWT_SECRET + ':2fa',
+        { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN }
+    );
+};
+
+// Verify a 2FA challenge token, throws if it is invalid or expired
+const verifyTwoFactorChallenge = (token) => {
+    return jwt.verify(token, JWT_SECRET + ':2fa');
+};
+
+// Generate a guest cart token. It is signed with a different secret so it
+// can never pass as an access token.
+const generateCartToken = (cartId) => {
+    return jwt.sign(
+        { cid: cartId },
+        JWT_SECRET + ':cart',
+        { expiresIn: `${GUEST_CART_TTL_DAYS}d` }
     );
 };
 
-// Verify JWT token
+// Read the guest cart ID from the cart token (X-Cart-Token header or cart
+// cookie), null when there is no valid token
+const getGuestCartId = (req) => {
+    if (req.guestCartId) {
+        return req.guestCartId;
+    }
+
+    const token = req.get(CART_TOKEN_HEADER) || req.cookies?.[CART_TOKEN_COOKIE];
+    if (!token) {
+        return null;
+    }
+
+    try {
+        return jwt.verify(token, JWT_SECRET + ':cart').cid;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Send a fresh guest cart token in the cart cookie and the X-Cart-Token
+// header (once per request), returns the token
+const setCartToken = (req, res, cartId) => {
+    if (req.guestCartId !== cartId || !req.cartToken) {
+        req.guestCartId = cartId;
+        req.cartToken = generateCartToken(cartId);
+        res.cookie(CART_TOKEN_COOKIE, req.cartToken, {
+            ...cookieOptions,
+            path: '/api',
+            maxAge: GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000
+        });
+        res.set('X-Cart-Token', req.cartToken);
+    }
+    return req.cartToken;
+};
+
+// Forget the guest cart (after it has been merged into an account)
+const clearCartToken = (req, res) => {
+    req.guestCartId = null;
+    req.cartToken = null;
+    res.clearCookie(CART_TOKEN_COOKIE, { ...cookieOptions, path: '/api' });
+};
+
+// Generate an opaque random token (for emails, invitations, etc.)
+const generateRandomToken = (bytes = 32) => {
+    return crypto.randomBytes(bytes).toString('hex');
+};
+
+// Generate refresh token (opaque, only its hash is stored)
+const generateRefreshToken = () => {
+    return generateRandomToken(48);
+};
+
+// Hash an opaque token before storing or looking it up in the database
+const hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Whether the client asked for tokens in cookies (X-Auth-Mode: cookie)
+// or is already authenticating with them
+const wantsCookieAuth = (req) => {
+    return req.authViaCookie || req.get('x-auth-mode') === 'cookie';
+};
+
+// Set the access, refresh and CSRF cookies, returns the new CSRF token
+const setAuthCookies = (res, { token, refreshToken }) => {
+    const csrfToken = generateRandomToken();
+    const refreshMaxAge = REFRESH_TOKEN_EXPIRY_DAYS * 24 * 60 * 60 * 1000;
+
+    res.cookie(ACCESS_TOKEN_COOKIE, token, { ...cookieOptions, path: '/', maxAge: ACCESS_TOKEN_MAX_AGE_MS });
+    res.cookie(REFRESH_TOKEN_COOKIE, refreshToken, { ...cookieOptions, path: '/api/auth', maxAge: refreshMaxAge });
+    // Readable by the storefront so it can echo it back in the X-CSRF-Token header
+    res.cookie(CSRF_COOKIE, csrfToken, { ...cookieOptions, httpOnly: false, path: '/', maxAge: refreshMaxAge });
+
+    return csrfToken;
+};
+
+// Remove every auth cookie
+const clearAuthCookies = (res) => {
+    res.clearCookie(ACCESS_TOKEN_COOKIE, { ...cookieOptions, path: '/' });
+    res.clearCookie(REFRESH_TOKEN_COOKIE, { ...cookieOptions, path: '/api/auth' });
+    res.clearCookie(CSRF_COOKIE, { ...cookieOptions, httpOnly: false, path: '/' });
+};
+
+// Double-submit check: the X-CSRF-Token header must match the CSRF cookie
+// on state-changing requests
+const isCsrfValid = (req) => {
+    if (SAFE_METHODS.includes(req.method)) {
+        return true;
+    }
+
+    const cookieToken = req.cookies?.[CSRF_COOKIE];
+    const headerToken = req.get(CSRF_HEADER);
+    if (!cookieToken || !headerToken || cookieToken.length !== headerToken.length) {
+        return false;
+    }
+
+    return crypto.timingSafeEqual(Buffer.from(cookieToken), Buffer.from(headerToken));
+};
+
+// Read the refresh token from the body or, in cookie mode, from its cookie
+const getRefreshTokenFromRequest = (req) => {
+    if (req.body.refreshToken) {
+        return req.body.refreshToken;
+    }
+    if (req.cookies?.[REFRESH_TOKEN_COOKIE]) {
+        req.authViaCookie = true;
+        return req.cookies[REFRESH_TOKEN_COOKIE];
+    }
+    return null;
+};
+
+// Authenticate a request made with an API key. The request acts as the
+// admin who created the key, limited to the key's scopes.
+const authenticateApiKey = async (req, res, next, apiKey) => {
+    const [keys] = await pool.query(
+        `SELECT k.*, k.expires_at IS NOT NULL AND k.expires_at <= NOW() AS is_expired
+         FROM api_keys k
+         WHERE k.key_hash = ? AND k.revoked_at IS NULL`,
+        [hashToken(apiKey)]
+    );
+
+    if (!keys.length || keys[0].is_expired) {
+        return res.status(401).json({ message: 'Invalid or expired API key' });
+    }
+
+    const key = keys[0];
+    const [user] = await pool.query('SELECT * FROM users WHERE id = ?', [key.created_by]);
+
+    if (!user.length || user[0].deactivated_at) {
+        return res.status(401).json({ message: 'Invalid or expired API key' });
+    }
+
+    // Record usage, at most once a minute to avoid a write on every request
+    await pool.query(
+        'UPDATE api_keys SET last_used_at = NOW() WHERE id = ? AND (last_used_at IS NULL OR last_used_at < DATE_SUB(NOW(), INTERVAL 1 MINUTE))',
+        [key.id]
+    );
+
+    req.user = user[0];
+    req.apiKey = {
+        id: key.id,
+        name: key.name,
+        scopes: typeof key.scopes === 'string' ? JSON.parse(key.scopes) : key.scopes
+    };
+    next();
+};
+
+// Verify JWT token (bearer header, access token cookie plus CSRF check,
+// or an API key in the X-API-Key header)
 const verifyToken = async (req, res, next) => {
     try {
-        const token = req.headers.authorization?.split(' ')[1];
+        const apiKey = req.get(API_KEY_HEADER);
+        if (apiKey) {
+            return await authenticateApiKey(req, res, next, apiKey);
+        }
+
+        let token = req.headers.authorization?.split(' ')[1];
+
+        if (!token && req.cookies?.[ACCESS_TOKEN_COOKIE]) {
+            if (!isCsrfValid(req)) {
+                return res.status(403).json({ message: 'Invalid CSRF token' });
+            }
+            token = req.cookies[ACCESS_TOKEN_COOKIE];
+            req.authViaCookie = true;
+        }
         
         if (!token) {
             return res.status(401).json({ message: 'No token provided' });
@@ -39,7 +239,23 @@ const verifyToken = async (req, res, next) => {
             return res.status(401).json({ message: 'User not found' });
         }
 
+        if (user[0].deactivated_at) {
+            return res.status(403).json({ message: 'Account has been deactivated' });
+        }
+
+        // Reject access tokens whose session has been signed out
+        if (decoded.sid) {
+            const [sessions] = await pool.query(
+                'SELECT id FROM user_sessions WHERE id = ? AND revoked_at IS NULL',
+                [decoded.sid]
+            );
+            if (!sessions.length) {
+                return res.status(401).json({ message: 'Session has been revoked' });
+            }
+        }
+
         req.user = user[0];
+        req.sessionId = decoded.sid || null;
         next();
     } catch (error) {
         console.error('Token verification error:', error);
@@ -47,15 +263,152 @@ const verifyToken = async (req, res, next) => {
     }
 };
 
-// Check user role
+// Authenticate requests that carry credentials like verifyToken does, and
+// let requests without any through as guests (req.user stays undefined)
+const optionalToken = (req, res, next) => {
+    if (req.get(API_KEY_HEADER) || req.headers.authorization || req.cookies?.[ACCESS_TOKEN_COOKIE]) {
+        return verifyToken(req, res, next);
+    }
+    next();
+};
+
+// Require a verified email address (must run after verifyToken)
+const requireVerifiedEmail = (req, res, next) => {
+    if (!req.user.email_verified_at) {
+        return res.status(403).json({ message: 'Please verify your email address before continuing' });
+    }
+    next();
+};
+
+// Load a role together with its permission names (cached)
+const getRoleWithPermissions = async (roleId) => {
+    const cached = roleCache.get(roleId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.role;
+    }
+
+    const [roles] = await pool.query('SELECT id, name, require_two_factor FROM roles WHERE id = ?', [roleId]);
+    if (!roles.length) {
+        return null;
+    }
+
+    const [permissions] = await pool.query(
+        `SELECT p.name FROM permissions p
+         JOIN role_permissions rp ON rp.permission_id = p.id
+         WHERE rp.role_id = ?`,
+        [roleId]
+    );
+
+    const role = {
+        id: roles[0].id,
+        name: roles[0].name,
+        requireTwoFactor: !!roles[0].require_two_factor,
+        permissions: new Set(permissions.map((permission) => permission.name))
+    };
+    roleCache.set(roleId, { role, expiresAt: Date.now() + PERMISSION_CACHE_TTL_MS });
+    return role;
+};
+
+// Drop cached roles, call after changing roles or their permissions
+const clearPermissionCache = () => {
+    roleCache.clear();
+};
+
+// Check whether the authenticated request holds a permission. API key
+// requests need it both in the creator's role and in the key's scopes.
+const hasPermission = async (req, permission) => {
+    const role = await getRoleWithPermissions(req.user.role_id);
+    if (!role || !role.permissions.has(permission)) {
+        return false;
+    }
+    return !req.apiKey || req.apiKey.scopes.includes(permission);
+};
+
+// Check whether the request may give someone a role (or take it away).
+// roles:manage holders may grant any role, anyone else only roles whose
+// permissions they hold themselves, so users:manage can't grant admin.
+const canGrantRole = async (req, roleId) => {
+    if (await hasPermission(req, 'roles:manage')) {
+        return true;
+    }
+    const role = await getRoleWithPermissions(roleId);
+    if (!role) {
+        return false;
+    }
+    for (const permission of role.permissions) {
+        if (!(await hasPermission(req, permission))) {
+            return false;
+        }
+    }
+    return true;
+};
+
+// Reject API key requests on routes meant for people (account, cart...)
+const rejectApiKeys = (req, res, next) => {
+    if (req.get(API_KEY_HEADER)) {
+        return res.status(403).json({ message: 'API keys can\'t access this resource' });
+    }
+    next();
+};
+
+// Reject users whose role requires 2FA but who haven't enabled it
+const checkTwoFactorRequirement = (role, req, res) => {
+    if (role.requireTwoFactor && !req.user.two_factor_enabled_at) {
+        res.status(403).json({ message: 'Two-factor authentication must be enabled to access this resource' });
+        return false;
+    }
+    return true;
+};
+
+// Require every one of the given permissions (must run after verifyToken)
+const requirePermission = (...permissions) => {
+    return async (req, res, next) => {
+        try {
+            const role = await getRoleWithPermissions(req.user.role_id);
+
+            if (!role || !permissions.every((permission) => role.permissions.has(permission))) {
+                return res.status(403).json({ message: 'Access denied' });
+            }
+
+            // API keys are further limited to their scopes and skip the 2FA
+            // requirement, which only applies to interactive logins
+            if (req.apiKey) {
+                if (!permissions.every((permission) => req.apiKey.scopes.includes(permission))) {
+                    return res.status(403).json({ message: 'API key is missing the required scope' });
+                }
+                return next();
+            }
+
+            if (!checkTwoFactorRequirement(role, req, res)) {
+                return;
+            }
+
+            next();
+        } catch (error) {
+            console.error('Permission check error:', error);
+            return res.status(500).json({ message: 'Error checking user permissions' });
+        }
+    };
+};
+
+// Check user role by name (prefer requirePermission for new routes)
 const checkRole = (roles) => {
     return async (req, res, next) => {
         try {
-            const [role] = await pool.query('SELECT name FROM roles WHERE id = ?', [req.user.role_id]);
+            // Role names carry no scopes, so API keys never pass a role check
+            if (req.apiKey) {
+                return res.status(403).json({ message: 'Access denied' });
+            }
+
+            const role = await getRoleWithPermissions(req.user.role_id);
             
-            if (!role.length || !roles.includes(role[0].name)) {
+            if (!role || !roles.includes(role.name)) {
                 return res.status(403).json({ message: 'Access denied' });
             }
+
+            if (!checkTwoFactorRequirement(role, req, res)) {
+                return;
+            }
             
             next();
         } catch (error) {
@@ -66,8 +419,30 @@ const checkRole = (roles) => {
 };
 
 module.exports = {
+    REFRESH_TOKEN_EXPIRY_DAYS,
+    GUEST_CART_TTL_DAYS,
     generateToken,
     generateRefreshToken,
+    generateTwoFactorChallenge,
+    verifyTwoFactorChallenge,
+    generateRandomToken,
+    hashToken,
+    getGuestCartId,
+    setCartToken,
+    clearCartToken,
+    wantsCookieAuth,
+    setAuthCookies,
+    clearAuthCookies,
+    isCsrfValid,
+    getRefreshTokenFromRequest,
     verifyToken,
+    optionalToken,
+    requireVerifiedEmail,
+    requirePermission,
+    hasPermission,
+    canGrantRole,
+    getRoleWithPermissions,
+    rejectApiKeys,
+    clearPermissionCache,
     checkRole
 };
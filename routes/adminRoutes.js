@@ -0,0 +1,157 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken, requirePermission, rejectApiKeys } = require('../middleware/auth');
+const { unlockAccount } = require('../controllers/auth');
+const {
+  getUsers,
+  getUserDetails,
+  updateUserRole,
+  deactivateUser,
+  reactivateUser,
+  forceLogoutUser
+} = require('../controllers/userController');
+const {
+  createInvitation,
+  getInvitations,
+  revokeInvitation
+} = require('../controllers/invitationController');
+const {
+  createApiKey,
+  getApiKeys,
+  revokeApiKey
+} = require('../controllers/apiKeyController');
+const {
+  getRoles,
+  getPermissions,
+  createRole,
+  updateRole,
+  deleteRole,
+  setRolePermissions,
+  setRoleTwoFactor
+} = require('../controllers/roleController');
+const {
+  getReviewsForModeration,
+  moderateReview
+} = require('../controllers/reviewController');
+const {
+  getLowStockAlerts,
+  getStockMovements,
+  createStockAdjustment
+} = require('../controllers/inventoryController');
+const {
+  getCoupons,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+} = require('../controllers/couponController');
+const {
+  getTaxRates,
+  createTaxRate,
+  updateTaxRate,
+  deleteTaxRate
+} = require('../controllers/taxRateController');
+
+// All routes require authentication, each route checks its own permission
+router.use(verifyToken);
+
+// GET /api/admin/users - Search users (q, role, status) with pagination
+router.get('/users', requirePermission('users:manage'), getUsers);
+
+// GET /api/admin/users/:id - User details with order count and total spent
+router.get('/users/:id', requirePermission('users:manage'), getUserDetails);
+
+// PUT /api/admin/users/:id/role - Change a user's role
+router.put('/users/:id/role', requirePermission('users:manage'), updateUserRole);
+
+// POST /api/admin/users/:id/deactivate - Deactivate a user
+router.post('/users/:id/deactivate', requirePermission('users:manage'), deactivateUser);
+
+// POST /api/admin/users/:id/reactivate - Reactivate a user
+router.post('/users/:id/reactivate', requirePermission('users:manage'), reactivateUser);
+
+// POST /api/admin/users/:id/logout - Sign a user out of every session
+router.post('/users/:id/logout', requirePermission('users:manage'), forceLogoutUser);
+
+// POST /api/admin/users/:id/unlock - Unlock an account locked by failed logins
+router.post('/users/:id/unlock', requirePermission('users:manage'), unlockAccount);
+
+// GET /api/admin/invitations - List staff invitations
+router.get('/invitations', requirePermission('users:manage'), getInvitations);
+
+// POST /api/admin/invitations - Invite someone to a staff role
+router.post('/invitations', requirePermission('users:manage'), createInvitation);
+
+// DELETE /api/admin/invitations/:id - Revoke a pending invitation
+router.delete('/invitations/:id', requirePermission('users:manage'), revokeInvitation);
+
+// GET /api/admin/permissions - List every permission
+router.get('/permissions', requirePermission('roles:manage'), getPermissions);
+
+// GET /api/admin/roles - List roles with their permissions
+router.get('/roles', requirePermission('roles:manage'), getRoles);
+
+// POST /api/admin/roles - Create a role
+router.post('/roles', requirePermission('roles:manage'), createRole);
+
+// PUT /api/admin/roles/:id - Update a role's name or description
+router.put('/roles/:id', requirePermission('roles:manage'), updateRole);
+
+// DELETE /api/admin/roles/:id - Delete an unused role
+router.delete('/roles/:id', requirePermission('roles:manage'), deleteRole);
+
+// PUT /api/admin/roles/:id/permissions - Replace a role's permissions
+router.put('/roles/:id/permissions', requirePermission('roles:manage'), setRolePermissions);
+
+// PUT /api/admin/roles/:id/two-factor - Require 2FA for every user of a role
+router.put('/roles/:id/two-factor', requirePermission('roles:manage'), setRoleTwoFactor);
+
+// GET /api/admin/reviews - List reviews by moderation status
+router.get('/reviews', requirePermission('reviews:moderate'), getReviewsForModeration);
+
+// PUT /api/admin/reviews/:id/status - Approve or reject a review
+router.put('/reviews/:id/status', requirePermission('reviews:moderate'), moderateReview);
+
+// GET /api/admin/inventory/alerts - Products and variants running low on stock
+router.get('/inventory/alerts', requirePermission('inventory:manage'), getLowStockAlerts);
+
+// GET /api/admin/inventory/products/:id/movements - Stock ledger of a product
+router.get('/inventory/products/:id/movements', requirePermission('inventory:manage'), getStockMovements);
+
+// POST /api/admin/inventory/products/:id/adjustments - Manual stock adjustment
+router.post('/inventory/products/:id/adjustments', requirePermission('inventory:manage'), createStockAdjustment);
+
+// GET /api/admin/coupons - List coupons with their usage
+router.get('/coupons', requirePermission('coupons:manage'), getCoupons);
+
+// POST /api/admin/coupons - Create a coupon
+router.post('/coupons', requirePermission('coupons:manage'), createCoupon);
+
+// PUT /api/admin/coupons/:id - Update a coupon
+router.put('/coupons/:id', requirePermission('coupons:manage'), updateCoupon);
+
+// DELETE /api/admin/coupons/:id - Delete (or deactivate a used) coupon
+router.delete('/coupons/:id', requirePermission('coupons:manage'), deleteCoupon);
+
+// GET /api/admin/tax-rates - List tax rates
+router.get('/tax-rates', requirePermission('taxes:manage'), getTaxRates);
+
+// POST /api/admin/tax-rates - Create a tax rate
+router.post('/tax-rates', requirePermission('taxes:manage'), createTaxRate);
+
+// PUT /api/admin/tax-rates/:id - Update a tax rate
+router.put('/tax-rates/:id', requirePermission('taxes:manage'), updateTaxRate);
+
+// DELETE /api/admin/tax-rates/:id - Delete a tax rate
+router.delete('/tax-rates/:id', requirePermission('taxes:manage'), deleteTaxRate);
+
+// API keys can only be managed by signed-in admins, never by another key
+// GET /api/admin/api-keys - List API keys
+router.get('/api-keys', rejectApiKeys, requirePermission('api_keys:manage'), getApiKeys);
+
+// POST /api/admin/api-keys - Create an API key
+router.post('/api-keys', rejectApiKeys, requirePermission('api_keys:manage'), createApiKey);
+
+// DELETE /api/admin/api-keys/:id - Revoke an API key
+router.delete('/api-keys/:id', rejectApiKeys, requirePermission('api_keys:manage'), revokeApiKey);
+
+module.exports = router;
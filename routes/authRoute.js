@@ -3,25 +3,64 @@ const router = express.Router();
 const { 
   register,
   login,
+  loginTwoFactor,
   getProfile,
   updateProfile,
+  getLoginHistory,
+  setupTwoFactor,
+  confirmTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
   refreshToken,
   logout,
-  getRoles,
+  logoutAll,
+  getSessions,
+  deleteSession,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
 } = require('../controllers/auth');
-const { verifyToken } = require('../middleware/auth');
+const { getRoles } = require('../controllers/roleController');
+const { acceptInvitation } = require('../controllers/invitationController');
+const { verifyToken, rejectApiKeys } = require('../middleware/auth');
+
+// Account endpoints are for people, not integrations
+router.use(rejectApiKeys);
 
 // Auth routes
 router.post('/register', register);
 router.post('/login', login);
+router.post('/login/2fa', loginTwoFactor);
+router.post('/accept-invitation', acceptInvitation);
 
 // Token routes
 router.post('/refresh-token', refreshToken);
 router.post('/logout', verifyToken, logout);
+router.post('/logout-all', verifyToken, logoutAll);
+
+// Session routes
+router.get('/sessions', verifyToken, getSessions);
+router.delete('/sessions/:id', verifyToken, deleteSession);
+
+// Email verification routes
+router.get('/verify-email', verifyEmail);
+router.post('/resend-verification', verifyToken, resendVerification);
+
+// Password reset routes
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
 
 // User routes
 router.get('/profile', verifyToken,  getProfile);
 router.put('/profile', verifyToken, updateProfile);
+router.get('/profile/login-history', verifyToken, getLoginHistory);
+
+// Two-factor authentication routes
+router.post('/2fa/setup', verifyToken, setupTwoFactor);
+router.post('/2fa/confirm', verifyToken, confirmTwoFactor);
+router.post('/2fa/recovery-codes', verifyToken, regenerateRecoveryCodes);
+router.post('/2fa/disable', verifyToken, disableTwoFactor);
 
 // Role routes (protected)
 router.get('/roles', verifyToken, getRoles);
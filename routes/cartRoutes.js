@@ -1,18 +1,25 @@
 const express = require('express');
 const router = express.Router();
-const { verifyToken } = require('../middleware/auth');
+const { optionalToken, rejectApiKeys } = require('../middleware/auth');
 const {
   getCart,
   addToCart,
   updateCartItem,
   removeFromCart,
-  clearCart
+  clearCart,
+  applyCoupon,
+  removeCoupon,
+  startCheckout,
+  cancelCheckout
 } = require('../controllers/cartController');
 
-// All routes are protected with JWT authentication
-router.use(verifyToken);
+// Carts belong to people: signed-in users get their account cart, guests a
+// cart identified by the signed token in the X-Cart-Token header or cart_token
+// cookie, which is merged into the account cart when they sign in
+router.use(rejectApiKeys);
+router.use(optionalToken);
 
-// GET /api/cart - Get user's cart
+// GET /api/cart - Get the user's or guest's cart
 router.get('/', getCart);
 
 // POST /api/cart/items - Add item to cart
@@ -27,4 +34,16 @@ router.delete('/items/:itemId', removeFromCart);
 // DELETE /api/cart - Clear cart
 router.delete('/', clearCart);
 
+// POST /api/cart/coupon - Apply a coupon code
+router.post('/coupon', applyCoupon);
+
+// DELETE /api/cart/coupon - Remove the coupon
+router.delete('/coupon', removeCoupon);
+
+// POST /api/cart/checkout - Reserve the cart's stock (signed-in users only)
+router.post('/checkout', startCheckout);
+
+// DELETE /api/cart/checkout - Release the reservation
+router.delete('/checkout', cancelCheckout);
+
 module.exports = router;
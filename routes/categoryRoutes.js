@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const {
+  getCategoryTree,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  mergeCategory
+} = require('../controllers/categoryController');
+
+// Public routes - no authentication required
+router.get('/', getCategoryTree);
+router.get('/:id', getCategory);
+
+// Apply authentication and catalog permission check to all other routes
+router.use(verifyToken);
+router.use(requirePermission('products:write'));
+
+// Protected routes - require authentication and products:write permission
+router.post('/', createCategory);
+router.put('/:id', updateCategory);
+router.delete('/:id', deleteCategory);
+router.post('/:id/merge', mergeCategory);
+
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { verifyToken, checkRole } = require('../middleware/auth');
+const { verifyToken, requireVerifiedEmail, requirePermission, rejectApiKeys } = require('../middleware/auth');
 const {
   createOrder,
   getUserOrders,
@@ -16,19 +16,20 @@ const {
   processRefund
 } = require('../controllers/transactionController');
 
-// User routes
-router.post('/', verifyToken, createOrder);
-router.get('/', verifyToken, getUserOrders);
-router.get('/:id', verifyToken, getOrderById);
-router.post('/:id/pay', verifyToken, processPayment);
+// User routes. Orders belong to people, an API key would act on the account
+// of the admin who created it, so keys can't use them.
+router.post('/', verifyToken, rejectApiKeys, requireVerifiedEmail, createOrder);
+router.get('/', verifyToken, rejectApiKeys, getUserOrders);
+router.get('/:id', verifyToken, rejectApiKeys, getOrderById);
+router.post('/:id/pay', verifyToken, rejectApiKeys, requireVerifiedEmail, processPayment);
 
-// Admin routes
-router.get('/admin/orders', verifyToken, checkRole(['admin']), getAllOrders);
-router.put('/:id/status', verifyToken, checkRole(['admin']), updateOrderStatus);
+// Staff routes (permission based)
+router.get('/admin/orders', verifyToken, requirePermission('orders:read'), getAllOrders);
+router.put('/:id/status', verifyToken, requirePermission('orders:update'), updateOrderStatus);
 
 // Transaction routes
-router.get('/transactions/all', verifyToken, checkRole(['admin']), getTransactions);
+router.get('/transactions/all', verifyToken, requirePermission('transactions:read'), getTransactions);
 router.get('/transactions/:id', verifyToken, getTransactionById);
-router.post('/transactions/:id/refund', verifyToken, checkRole(['admin']), processRefund);
+router.post('/transactions/:id/refund', verifyToken, requirePermission('orders:refund'), processRefund);
 
 module.exports = router;
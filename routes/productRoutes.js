@@ -1,26 +1,88 @@
 const express = require('express');
 const router = express.Router();
-const { verifyToken, checkRole } = require('../middleware/auth');
-const { uploadImage } = require('../config/cloudinary');
+const { verifyToken, requirePermission, rejectApiKeys } = require('../middleware/auth');
+const { uploadImage, uploadImages, uploadImportFile } = require('../config/upload');
 const {
   getProducts,
   getProductById,
+  getAdminProducts,
+  getAdminProductById,
   createProduct,
   updateProduct,
   deleteProduct
 } = require('../controllers/productController');
+const {
+  getVariants,
+  createVariant,
+  updateVariant,
+  deleteVariant
+} = require('../controllers/variantController');
+const {
+  getProductImages,
+  addProductImages,
+  updateProductImage,
+  reorderProductImages,
+  deleteProductImage
+} = require('../controllers/productImageController');
+const { importProducts, exportProducts } = require('../controllers/catalogController');
+const {
+  getPriceChanges,
+  createPriceChange,
+  deletePriceChange
+} = require('../controllers/priceScheduleController');
+const {
+  getProductReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  voteReviewHelpful,
+  removeReviewVote
+} = require('../controllers/reviewController');
+
+// Catalog staff listing (includes draft and archived products) and export.
+// Registered before /:id so "admin" and "export" aren't taken for a product ID.
+router.get('/admin', verifyToken, requirePermission('products:write'), getAdminProducts);
+router.get('/admin/:id', verifyToken, requirePermission('products:write'), getAdminProductById);
+router.get('/export', verifyToken, requirePermission('products:write'), exportProducts);
 
 // Public routes - no authentication required
 router.get('/', getProducts);
 router.get('/:id', getProductById);
+router.get('/:id/variants', getVariants);
+router.get('/:id/images', getProductImages);
+router.get('/:id/reviews', getProductReviews);
 
-// Apply authentication and admin check to all other routes
+// Customer review routes - any signed-in user, checked per review
+router.post('/:id/reviews', verifyToken, rejectApiKeys, createReview);
+router.put('/:id/reviews/:reviewId', verifyToken, rejectApiKeys, updateReview);
+router.delete('/:id/reviews/:reviewId', verifyToken, rejectApiKeys, deleteReview);
+router.post('/:id/reviews/:reviewId/helpful', verifyToken, rejectApiKeys, voteReviewHelpful);
+router.delete('/:id/reviews/:reviewId/helpful', verifyToken, rejectApiKeys, removeReviewVote);
+
+// Apply authentication and catalog permission check to all other routes
 router.use(verifyToken);
-router.use(checkRole(['admin']));
+router.use(requirePermission('products:write'));
 
-// Protected routes - require authentication and admin role
+// Protected routes - require authentication and products:write permission
 router.post('/', uploadImage, createProduct);
+router.post('/import', uploadImportFile, importProducts);
 router.put('/:id', uploadImage, updateProduct);
 router.delete('/:id', deleteProduct);
 
+// Variant routes
+router.post('/:id/variants', createVariant);
+router.put('/:id/variants/:variantId', updateVariant);
+router.delete('/:id/variants/:variantId', deleteVariant);
+
+// Image gallery routes
+router.post('/:id/images', uploadImages, addProductImages);
+router.put('/:id/images/order', reorderProductImages);
+router.put('/:id/images/:imageId', updateProductImage);
+router.delete('/:id/images/:imageId', deleteProductImage);
+
+// Scheduled price change routes
+router.get('/:id/price-changes', getPriceChanges);
+router.post('/:id/price-changes', createPriceChange);
+router.delete('/:id/price-changes/:changeId', deletePriceChange);
+
 module.exports = router;
@@ -3,6 +3,7 @@ const app = express();
 const cookieParser = require("cookie-parser");
 require("dotenv").config();
 const cors = require("cors");
+const { LOCAL_STORAGE_ROUTE, LOCAL_STORAGE_DIR } = require("./config/storage");
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -20,6 +21,8 @@ app.use(
       return callback(null, true);
     },
     credentials: true,
+    // Guest cart token, see routes/cartRoutes.js
+    exposedHeaders: ["X-Cart-Token"],
   })
 );
 app.use(cookieParser());
@@ -27,26 +30,37 @@ app.use(cookieParser());
 // Import routes
 const authRoutes = require("./routes/authRoute");
 const productRoutes = require("./routes/productRoutes");
+const categoryRoutes = require("./routes/categoryRoutes");
 const orderRoutes = require("./routes/orderRoutes");
 const cartRoutes = require("./routes/cartRoutes");
+const adminRoutes = require("./routes/adminRoutes");
 
 // Routes
 app.get("/", (req, res) => {
   res.send("Hello from Express backend ");
 });
 
+// Files uploaded with the local storage driver
+app.use(LOCAL_STORAGE_ROUTE, express.static(LOCAL_STORAGE_DIR));
+
 // Auth routes
 app.use("/api/auth", authRoutes);
 
 // Product routes (public GET, protected POST/PUT/DELETE)
 app.use("/api/products", productRoutes);
 
+// Category routes (public GET, protected POST/PUT/DELETE)
+app.use("/api/categories", categoryRoutes);
+
 // Order and transaction routes (protected)
 app.use("/api/orders", orderRoutes);
 
 // Cart routes (protected)
 app.use("/api/cart", cartRoutes);
 
+// Admin routes (protected, admin only)
+app.use("/api/admin", adminRoutes);
+
 // Admin test route
 app.get(
   "/api/admin",
@@ -66,6 +80,36 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Fold scheduled price changes into the catalog once they are due. Prices
+// are already read with due changes applied, so the interval only affects
+// how soon the stored price catches up.
+const { applyDuePriceChanges } = require("./services/pricing");
+const PRICE_SCHEDULE_INTERVAL_MS =
+  parseInt(process.env.PRICE_SCHEDULE_INTERVAL_MS) || 60 * 1000;
+setInterval(() => {
+  applyDuePriceChanges().catch((error) =>
+    console.error("Error applying scheduled price changes:", error)
+  );
+}, PRICE_SCHEDULE_INTERVAL_MS).unref();
+
+// Delete guest carts nobody has used for GUEST_CART_TTL_DAYS
+const { deleteExpiredGuestCarts } = require("./controllers/cartController");
+const GUEST_CART_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+setInterval(() => {
+  deleteExpiredGuestCarts().catch((error) =>
+    console.error("Error deleting expired guest carts:", error)
+  );
+}, GUEST_CART_CLEANUP_INTERVAL_MS).unref();
+
+// Mark checkout stock reservations past their expiry as expired (their
+// holds already stop counting once expires_at passes)
+const { expireReservations } = require("./services/reservations");
+setInterval(() => {
+  expireReservations().catch((error) =>
+    console.error("Error expiring stock reservations:", error)
+  );
+}, 60 * 1000).unref();
+
 // Start server
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => console.log(`Server is running on port ${PORT}`));
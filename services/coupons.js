@@ -0,0 +1,208 @@
+const COUPON_TYPES = ['percentage', 'fixed', 'free_shipping'];
+
+// Coupon codes are stored upper-case and matched case-insensitively
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Find a coupon by code or ID together with its eligible product IDs and
+ * category IDs (subcategories included)
+ * @param {Object} db - Pool or connection to run the queries on
+ * @param {Object} where - { code } or { id }
+ * @param {Object} options - { lock: true } to lock the coupon row (usage limits at checkout)
+ * @returns {Promise<Object|null>} coupons row with productIds and categoryIds
+ */
+const findCoupon = async (db, { code, id }, { lock = false } = {}) => {
+  const [coupons] = await db.query(
+    `SELECT * FROM coupons WHERE ${id ? 'id = ?' : 'code = ?'}${lock ? ' FOR UPDATE' : ''}`,
+    [id || normalizeCode(code)]
+  );
+  if (!coupons.length) {
+    return null;
+  }
+  const coupon = coupons[0];
+
+  const [products] = await db.query('SELECT product_id FROM coupon_products WHERE coupon_id = ?', [coupon.id]);
+  const [categories] = await db.query(
+    `WITH RECURSIVE category_tree AS (
+       SELECT category_id AS id FROM coupon_categories WHERE coupon_id = ?
+       UNION
+       SELECT c.id FROM categories c JOIN category_tree t ON c.parent_id = t.id
+     )
+     SELECT id FROM category_tree`,
+    [coupon.id]
+  );
+
+  coupon.productIds = products.map(product => product.product_id);
+  coupon.categoryIds = categories.map(category => category.id);
+  return coupon;
+};
+
+/**
+ * Count how often a coupon has been used on orders that weren't cancelled
+ * @param {Object} db - Pool or connection to run the query on
+ * @param {number} couponId - Coupon ID
+ * @param {number|null} userId - Only count this customer's orders
+ * @returns {Promise<number>}
+ */
+const countCouponUses = async (db, couponId, userId = null) => {
+  const [rows] = await db.query(
+    `SELECT COUNT(DISTINCT d.order_id) AS uses
+     FROM order_discounts d
+     JOIN orders o ON d.order_id = o.id
+     WHERE d.coupon_id = ? AND o.status <> 'cancelled'${userId ? ' AND o.user_id = ?' : ''}`,
+    userId ? [couponId, userId] : [couponId]
+  );
+  return rows[0].uses;
+};
+
+// Round to cents
+const toCents = (amount) => Math.round(amount * 100) / 100;
+
+// Spread a discount over items in proportion to their line totals, so each
+// item knows its share (refunds of single items). Rounding leftovers go to
+// the last item.
+const allocateDiscount = (items, discount) => {
+  const base = items.reduce((sum, item) => sum + item.lineTotal, 0);
+  let remaining = discount;
+  return items.map((item, index) => {
+    const share = index === items.length - 1
+      ? remaining
+      : toCents(discount * item.lineTotal / base);
+    remaining = toCents(remaining - share);
+    return { key: item.key, discount: share };
+  });
+};
+
+/**
+ * Check a coupon against a cart or order and work out the discount.
+ * @param {Object} db - Pool or connection to run the queries on
+ * @param {Object} coupon - Coupon from findCoupon
+ * @param {Object} context - { items: [{ key, productId, categoryId, price, quantity }], shipping, userId }
+ *                           userId is null for guests, whose per-customer limit is checked at checkout
+ * @returns {Promise<Object>} { error } or { code, type, description, eligibleSubtotal,
+ *                            itemDiscount, shippingDiscount, items: [{ key, discount }] }
+ */
+const evaluateCoupon = async (db, coupon, { items, shipping, userId = null }) => {
+  const now = new Date();
+  if (!coupon.is_active ||
+      (coupon.starts_at && new Date(coupon.starts_at) > now) ||
+      (coupon.ends_at && new Date(coupon.ends_at) <= now)) {
+    return { error: `Coupon ${coupon.code} is not valid at this time` };
+  }
+
+  if (coupon.usage_limit !== null && await countCouponUses(db, coupon.id) >= coupon.usage_limit) {
+    return { error: `Coupon ${coupon.code} has reached its usage limit` };
+  }
+  if (userId && coupon.usage_limit_per_customer !== null &&
+      await countCouponUses(db, coupon.id, userId) >= coupon.usage_limit_per_customer) {
+    return { error: `You have already used coupon ${coupon.code} as often as allowed` };
+  }
+
+  const lines = items.map(item => ({ ...item, lineTotal: toCents(item.price * item.quantity) }));
+  const subtotal = toCents(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+  if (coupon.min_spend !== null && subtotal < parseFloat(coupon.min_spend)) {
+    return { error: `Coupon ${coupon.code} requires a minimum spend of ${parseFloat(coupon.min_spend).toFixed(2)}` };
+  }
+
+  // Without product or category restrictions every item is eligible
+  const restricted = coupon.productIds.length || coupon.categoryIds.length;
+  const eligible = lines.filter(line => !restricted ||
+    coupon.productIds.includes(line.productId) ||
+    coupon.categoryIds.includes(line.categoryId));
+  if (!eligible.length) {
+    return { error: `Coupon ${coupon.code} doesn't apply to any item in your cart` };
+  }
+
+  const eligibleSubtotal = toCents(eligible.reduce((sum, line) => sum + line.lineTotal, 0));
+  let itemDiscount = 0;
+  let shippingDiscount = 0;
+
+  if (coupon.type === 'percentage') {
+    itemDiscount = toCents(eligibleSubtotal * parseFloat(coupon.value) / 100);
+  } else if (coupon.type === 'fixed') {
+    itemDiscount = Math.min(toCents(parseFloat(coupon.value)), eligibleSubtotal);
+  } else {
+    shippingDiscount = shipping;
+  }
+
+  return {
+    couponId: coupon.id,
+    code: coupon.code,
+    type: coupon.type,
+    description: coupon.description,
+    eligibleSubtotal,
+    itemDiscount,
+    shippingDiscount,
+    items: itemDiscount > 0 && eligibleSubtotal > 0 ? allocateDiscount(eligible, itemDiscount) : []
+  };
+};
+
+/**
+ * Validate coupon fields from an admin request, returns an error message or
+ * null. When partial is true only the fields that are present are checked.
+ * @param {Object} fields - Request body
+ * @param {boolean} partial - Update of an existing coupon
+ * @param {Object} current - Current coupon row (updates), for type/value and window checks
+ */
+const validateCoupon = (fields, partial = false, current = {}) => {
+  const { code, type, value, minSpend, startsAt, endsAt, usageLimit, usageLimitPerCustomer, productIds, categoryIds } = fields;
+
+  if (!partial || code !== undefined) {
+    if (!/^[A-Z0-9_-]{3,50}$/.test(normalizeCode(code))) {
+      return 'Code must be 3 to 50 letters, digits, dashes or underscores';
+    }
+  }
+
+  const finalType = type !== undefined ? type : current.type;
+  if (!partial || type !== undefined) {
+    if (!COUPON_TYPES.includes(type)) {
+      return `Invalid type. Allowed values: ${COUPON_TYPES.join(', ')}`;
+    }
+  }
+
+  const finalValue = value !== undefined ? value : current.value;
+  if (finalType === 'percentage' && (isNaN(parseFloat(finalValue)) || parseFloat(finalValue) <= 0 || parseFloat(finalValue) > 100)) {
+    return 'A percentage coupon needs a value greater than 0 and at most 100';
+  }
+  if (finalType === 'fixed' && (isNaN(parseFloat(finalValue)) || parseFloat(finalValue) <= 0)) {
+    return 'A fixed coupon needs an amount greater than 0';
+  }
+
+  if (minSpend !== undefined && minSpend !== null && (isNaN(parseFloat(minSpend)) || parseFloat(minSpend) < 0)) {
+    return 'Minimum spend must be a non-negative number';
+  }
+
+  for (const [name, date] of Object.entries({ startsAt, endsAt })) {
+    if (date !== undefined && date !== null && isNaN(new Date(date).getTime())) {
+      return `${name} must be a valid date`;
+    }
+  }
+  const finalStart = startsAt !== undefined ? startsAt : current.starts_at;
+  const finalEnd = endsAt !== undefined ? endsAt : current.ends_at;
+  if (finalStart && finalEnd && new Date(finalEnd) <= new Date(finalStart)) {
+    return 'endsAt must be after startsAt';
+  }
+
+  for (const [name, limit] of Object.entries({ usageLimit, usageLimitPerCustomer })) {
+    if (limit !== undefined && limit !== null && (!Number.isInteger(Number(limit)) || Number(limit) < 1)) {
+      return `${name} must be a positive integer`;
+    }
+  }
+
+  for (const [name, ids] of Object.entries({ productIds, categoryIds })) {
+    if (ids !== undefined && (!Array.isArray(ids) || !ids.every(id => Number.isInteger(Number(id))))) {
+      return `${name} must be an array of IDs`;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  COUPON_TYPES,
+  normalizeCode,
+  findCoupon,
+  countCouponUses,
+  evaluateCoupon,
+  validateCoupon
+};
@@ -0,0 +1,80 @@
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, CRLF or LF line
+ * endings) into objects keyed by the header row. Blank lines are skipped.
+ * @param {string} text - CSV content
+ * @returns {Object[]} One object per data row
+ */
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Spreadsheet exports often start with a byte order mark
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const rows = records.filter(values => values.some(value => value.trim() !== ''));
+  if (!rows.length) {
+    return [];
+  }
+
+  const headers = rows[0].map(header => header.trim());
+  return rows.slice(1).map(values =>
+    Object.fromEntries(headers.map((header, i) => [header, values[i] !== undefined ? values[i] : '']))
+  );
+};
+
+/**
+ * Format one CSV line (with trailing CRLF), quoting values when needed
+ * @param {Array} values - Field values; null and undefined become empty fields
+ * @returns {string}
+ */
+const toCsvLine = (values) => {
+  return values.map(value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',') + '\r\n';
+};
+
+module.exports = {
+  parseCsv,
+  toCsvLine
+};
@@ -0,0 +1,224 @@
+const { priceColumnsSql } = require('./pricing');
+
+/**
+ * SQL subquery for the quantity of a product (or variant) held by active
+ * stock reservations (see services/reservations.js)
+ * @param {string} productId - SQL for the product ID, e.g. 'p.id'
+ * @param {string} variantId - SQL for the variant ID, 'NULL' for the product itself
+ * @param {Object} options - { excludeCartId: SQL for a cart whose own holds don't count }
+ * @returns {string}
+ */
+const heldStockSql = (productId, variantId, { excludeCartId } = {}) => `(SELECT COALESCE(SUM(ri.quantity), 0)
+    FROM stock_reservation_items ri
+    JOIN stock_reservations r ON ri.reservation_id = r.id
+    WHERE ri.product_id = ${productId} AND ri.variant_id <=> ${variantId}
+      AND r.status = 'active' AND r.expires_at > NOW()${excludeCartId ? `
+      AND NOT (r.cart_id <=> ${excludeCartId})` : ''})`;
+
+/**
+ * Resolve what is actually being bought for a product/variant pair.
+ * Only active products can be bought, and products that have variants can
+ * only be bought through one of them. price is the current price (sale or
+ * regular, see services/pricing.js) and available the stock not held by
+ * other carts' reservations.
+ * @param {Object} db - Pool or connection to run the queries on
+ * @param {number} productId - Product ID
+ * @param {number|null} variantId - Variant ID, if any
+ * @param {Object} options - { cartId } whose own reservation doesn't reduce availability
+ * @returns {Promise<Object>} { product, variant, price, regularPrice, stock, available } or { error, status }
+ */
+const findPurchasable = async (db, productId, variantId, { cartId = null } = {}) => {
+  const heldOptions = cartId ? { excludeCartId: '?' } : {};
+  const cartParams = cartId ? [cartId] : [];
+
+  const [products] = await db.query(
+    `SELECT p.*, ${priceColumnsSql('p')}, ${heldStockSql('p.id', 'NULL', heldOptions)} AS held_stock
+     FROM products p WHERE p.id = ?`,
+    [...cartParams, productId]
+  );
+  if (!products.length) {
+    return { error: `Product with ID ${productId} not found`, status: 404 };
+  }
+  const product = products[0];
+
+  if (product.status !== 'active') {
+    return { error: `${product.name} is no longer available`, status: 400 };
+  }
+
+  if (variantId) {
+    const [variants] = await db.query(
+      `SELECT v.*, ${priceColumnsSql('v', { variant: true })}, ${heldStockSql('v.product_id', 'v.id', heldOptions)} AS held_stock
+       FROM product_variants v WHERE v.id = ? AND v.product_id = ?`,
+      [...cartParams, variantId, productId]
+    );
+    if (!variants.length) {
+      return { error: `Variant with ID ${variantId} not found for product ${productId}`, status: 404 };
+    }
+    const variant = variants[0];
+    return {
+      product,
+      variant,
+      price: parseFloat(variant.current_price),
+      regularPrice: parseFloat(variant.regular_price),
+      stock: variant.stock,
+      available: Math.max(variant.stock - Number(variant.held_stock), 0)
+    };
+  }
+
+  const [variantCount] = await db.query(
+    'SELECT COUNT(*) AS count FROM product_variants WHERE product_id = ?',
+    [productId]
+  );
+  if (variantCount[0].count > 0) {
+    return { error: `Please choose a variant of ${product.name}`, status: 400 };
+  }
+
+  return {
+    product,
+    variant: null,
+    price: parseFloat(product.current_price),
+    regularPrice: parseFloat(product.regular_price),
+    stock: product.stock,
+    available: Math.max(product.stock - Number(product.held_stock), 0)
+  };
+};
+
+// Reasons staff can give for a manual stock adjustment. The application
+// also records: initial_stock, sale, cancellation, refund, product_update,
+// import and opening_balance (set by the ledger migration).
+const MANUAL_ADJUSTMENT_REASONS = ['restock', 'damaged', 'lost', 'found', 'returned', 'correction'];
+
+// Products (or variants) at or below this stock level show up in low-stock
+// alerts unless they have their own low_stock_threshold
+const DEFAULT_LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD) || 5;
+
+/**
+ * Append a movement to the stock ledger, with the SKU of the variant.
+ * stock_movements rows are never updated or deleted by the application.
+ * @param {Object} db - Pool or connection to run the query on
+ * @param {Object} item - { productId, variantId }
+ * @param {number} delta - Stock change
+ * @param {number} stockAfter - Stock once the change is applied
+ * @param {Object} movement - { reason, orderId, userId, note }
+ */
+const recordStockMovement = async (db, { productId, variantId = null }, delta, stockAfter, { reason, orderId = null, userId = null, note = null }) => {
+  await db.query(
+    `INSERT INTO stock_movements (product_id, variant_id, sku, delta, stock_after, reason, note, order_id, user_id)
+     VALUES (?, ?, (SELECT sku FROM product_variants WHERE id = ?), ?, ?, ?, ?, ?, ?)`,
+    [productId, variantId, variantId, delta, stockAfter, reason, note, orderId, userId]
+  );
+};
+
+// Lock and read the current stock of a product or variant
+const getStockForUpdate = async (db, { productId, variantId }) => {
+  const [rows] = variantId
+    ? await db.query('SELECT stock FROM product_variants WHERE id = ? FOR UPDATE', [variantId])
+    : await db.query('SELECT stock FROM products WHERE id = ? FOR UPDATE', [productId]);
+  if (!rows.length) {
+    throw new Error(`Stock not found for product ${productId}${variantId ? ` variant ${variantId}` : ''}`);
+  }
+  return rows[0].stock;
+};
+
+/**
+ * Lock the stock of a product or variant and return how much of it isn't
+ * held by other carts' reservations. Run it inside a transaction.
+ * @param {Object} db - Connection to run the queries on
+ * @param {Object} item - { productId, variantId }
+ * @param {Object} options - { cartId } whose own reservation doesn't count
+ * @returns {Promise<number>}
+ */
+const getAvailableStockForUpdate = async (db, { productId, variantId = null }, { cartId = null } = {}) => {
+  const stock = await getStockForUpdate(db, { productId, variantId });
+  const [rows] = await db.query(
+    `SELECT ${heldStockSql('?', '?', cartId ? { excludeCartId: '?' } : {})} AS held`,
+    cartId ? [productId, variantId, cartId] : [productId, variantId]
+  );
+  return stock - Number(rows[0].held);
+};
+
+/**
+ * Change the stock of a product, or of its variant when one is given, and
+ * record why in the stock ledger. Run it inside a transaction.
+ * @param {Object} db - Connection to run the queries on
+ * @param {Object} item - { productId, variantId }
+ * @param {number} delta - Positive to add stock, negative to remove it
+ * @param {Object} movement - { reason, orderId, userId, note }
+ * @returns {Promise<number>} Stock after the change
+ */
+const adjustStock = async (db, { productId, variantId }, delta, movement) => {
+  const stockAfter = (await getStockForUpdate(db, { productId, variantId })) + delta;
+
+  if (variantId) {
+    await db.query('UPDATE product_variants SET stock = ? WHERE id = ?', [stockAfter, variantId]);
+  } else {
+    await db.query('UPDATE products SET stock = ? WHERE id = ?', [stockAfter, productId]);
+  }
+  await recordStockMovement(db, { productId, variantId }, delta, stockAfter, movement);
+
+  return stockAfter;
+};
+
+/**
+ * Set the stock of a product or variant to an absolute value (admin edits,
+ * imports), recording the difference in the stock ledger.
+ * @param {Object} db - Connection to run the queries on
+ * @param {Object} item - { productId, variantId }
+ * @param {number} stock - New stock level
+ * @param {Object} movement - { reason, userId, note }
+ */
+const setStock = async (db, item, stock, movement) => {
+  const current = await getStockForUpdate(db, item);
+  if (stock !== current) {
+    await adjustStock(db, item, stock - current, movement);
+  }
+};
+
+// Ledger reasons of movements that put an order's stock back
+const RESTOCK_REASONS = ['cancellation', 'refund'];
+
+/**
+ * Put the stock of every item of an order back (cancellations and refunds).
+ * An order is only restocked once: when the ledger already has a
+ * cancellation or refund movement for it, nothing changes.
+ * @param {Object} db - Connection to run the queries on
+ * @param {number} orderId - Order ID
+ * @param {Object} movement - { reason, userId }
+ * @returns {Promise<boolean>} Whether the stock was put back
+ */
+const restockOrder = async (db, orderId, movement) => {
+  const [restocked] = await db.query(
+    'SELECT id FROM stock_movements WHERE order_id = ? AND reason IN (?) LIMIT 1',
+    [orderId, RESTOCK_REASONS]
+  );
+  if (restocked.length) {
+    return false;
+  }
+
+  const [items] = await db.query(
+    'SELECT product_id, variant_id, quantity FROM order_items WHERE order_id = ?',
+    [orderId]
+  );
+
+  for (const item of items) {
+    await adjustStock(
+      db,
+      { productId: item.product_id, variantId: item.variant_id },
+      item.quantity,
+      { ...movement, orderId }
+    );
+  }
+  return true;
+};
+
+module.exports = {
+  MANUAL_ADJUSTMENT_REASONS,
+  DEFAULT_LOW_STOCK_THRESHOLD,
+  heldStockSql,
+  findPurchasable,
+  getAvailableStockForUpdate,
+  recordStockMovement,
+  adjustStock,
+  setStock,
+  restockOrder
+};
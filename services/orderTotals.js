@@ -0,0 +1,91 @@
+const { findCoupon, evaluateCoupon } = require('./coupons');
+const { TAX_INCLUSIVE, findTaxRates, calculateTax } = require('./tax');
+
+// Flat shipping fee charged per order (free unless configured)
+const SHIPPING_FEE = parseFloat(process.env.SHIPPING_FEE) || 0;
+
+// Round to cents
+const toCents = (amount) => Math.round(amount * 100) / 100;
+
+// Shape an evaluated coupon as a line of the discount breakdown
+const formatDiscount = (coupon) => ({
+  couponId: coupon.couponId,
+  code: coupon.code,
+  type: coupon.type,
+  description: coupon.description,
+  amount: toCents(coupon.itemDiscount + coupon.shippingDiscount),
+  itemDiscount: coupon.itemDiscount,
+  shippingDiscount: coupon.shippingDiscount,
+  items: coupon.items.map(item => ({ itemId: item.key, amount: item.discount }))
+});
+
+/**
+ * Work out what a cart or order costs: the subtotal of its items at their
+ * current prices, the shipping fee, the discounts of its coupon, the tax and
+ * the total. getCart and createOrder both use it so the customer pays what the
+ * cart shows. Tax is charged on each item after its share of the discounts;
+ * with tax-inclusive prices it is already part of the subtotal.
+ * @param {Object} db - Pool or connection to run the queries on
+ * @param {Object} options
+ * @param {Array} options.items - [{ key, productId, categoryId, price, quantity }]
+ * @param {number|null} options.couponId - Coupon applied to the cart
+ * @param {number|null} options.userId - Customer, for per-customer usage limits
+ * @param {Object} options.region - Shipping { city, zip } for regional tax rates
+ * @param {boolean} options.lockCoupon - Lock the coupon row while placing an order
+ * @returns {Promise<Object>} { subtotal, shipping, discount, tax, taxInclusive, total,
+ *                            discounts, taxes, couponError }
+ *                            discounts lists each coupon with its share per item key,
+ *                            taxes the tax line of each item key
+ */
+const calculateTotals = async (db, { items, couponId = null, userId = null, region = {}, lockCoupon = false }) => {
+  const subtotal = toCents(items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+  const shipping = items.length ? SHIPPING_FEE : 0;
+
+  const discounts = [];
+  let couponError = null;
+  if (couponId && items.length) {
+    const coupon = await findCoupon(db, { id: couponId }, { lock: lockCoupon });
+    const result = coupon
+      ? await evaluateCoupon(db, coupon, { items, shipping, userId })
+      : { error: 'This coupon no longer exists' };
+    if (result.error) {
+      couponError = result.error;
+    } else {
+      discounts.push(formatDiscount(result));
+    }
+  }
+
+  const discount = toCents(discounts.reduce((sum, line) => sum + line.amount, 0));
+
+  // Amount of each item after its share of the discounts
+  const itemDiscounts = new Map();
+  for (const line of discounts) {
+    for (const item of line.items) {
+      itemDiscounts.set(item.itemId, (itemDiscounts.get(item.itemId) || 0) + item.amount);
+    }
+  }
+  const rates = items.length ? await findTaxRates(db, region) : [];
+  const taxes = calculateTax(rates, items.map(item => ({
+    key: item.key,
+    categoryId: item.categoryId,
+    amount: toCents(item.price * item.quantity - (itemDiscounts.get(item.key) || 0))
+  })));
+  const tax = toCents(taxes.reduce((sum, line) => sum + line.amount, 0));
+
+  return {
+    subtotal,
+    shipping,
+    discount,
+    tax,
+    taxInclusive: TAX_INCLUSIVE,
+    total: toCents(subtotal + shipping - discount + (TAX_INCLUSIVE ? 0 : tax)),
+    discounts,
+    taxes,
+    couponError
+  };
+};
+
+module.exports = {
+  SHIPPING_FEE,
+  calculateTotals
+};
@@ -0,0 +1,174 @@
+const pool = require('../config/db');
+
+// Pricing rules, shared by product listings, carts and checkout so every one
+// of them charges the same amount:
+//   regular price - the price column, or the latest scheduled price change
+//                   that is due but not yet folded into it
+//   current price - the sale price while its window is open and it is below
+//                   the regular price, the regular price otherwise
+// Both are computed in SQL against NOW() so a sale starts and ends at the
+// exact time set, whether or not applyDuePriceChanges has run yet.
+
+/**
+ * SQL expressions for the pricing of a products or product_variants row
+ * @param {string} alias - Table alias in the query (e.g. 'p' or 'v')
+ * @param {Object} options - { variant: true } when the alias is a product_variants row
+ * @returns {Object} { regular, onSale, current } SQL expressions
+ */
+const priceSql = (alias, { variant = false } = {}) => {
+  const dueChange = `(SELECT sp.price FROM scheduled_price_changes sp
+    WHERE sp.product_id = ${variant ? `${alias}.product_id` : `${alias}.id`}
+      AND sp.variant_id <=> ${variant ? `${alias}.id` : 'NULL'}
+      AND sp.applied_at IS NULL AND sp.effective_at <= NOW()
+    ORDER BY sp.effective_at DESC, sp.id DESC LIMIT 1)`;
+  const regular = `COALESCE(${dueChange}, ${alias}.price)`;
+  const onSale = `(${alias}.sale_price IS NOT NULL
+    AND (${alias}.sale_starts_at IS NULL OR ${alias}.sale_starts_at <= NOW())
+    AND (${alias}.sale_ends_at IS NULL OR ${alias}.sale_ends_at > NOW())
+    AND ${alias}.sale_price < ${regular})`;
+
+  return {
+    regular,
+    onSale,
+    current: `CASE WHEN ${onSale} THEN ${alias}.sale_price ELSE ${regular} END`
+  };
+};
+
+/**
+ * SELECT columns regular_price, current_price and on_sale for a table alias
+ * @param {string} alias - Table alias in the query
+ * @param {Object} options - { variant: true } for product_variants rows
+ * @returns {string}
+ */
+const priceColumnsSql = (alias, options) => {
+  const { regular, onSale, current } = priceSql(alias, options);
+  return `${regular} AS regular_price, ${current} AS current_price, ${onSale} AS on_sale`;
+};
+
+/**
+ * Shape the pricing of a row selected with priceColumnsSql for API responses.
+ * price stays the stored regular price so edit forms can send it back.
+ * @param {Object} row - products or product_variants row
+ * @returns {Object}
+ */
+const formatPricing = (row) => {
+  const price = parseFloat(row.price) || 0;
+  const regularPrice = row.regular_price !== undefined ? parseFloat(row.regular_price) : price;
+  return {
+    price,
+    regularPrice,
+    currentPrice: row.current_price !== undefined ? parseFloat(row.current_price) : regularPrice,
+    onSale: Boolean(Number(row.on_sale)),
+    salePrice: row.sale_price !== null && row.sale_price !== undefined ? parseFloat(row.sale_price) : null,
+    saleStartsAt: row.sale_starts_at || null,
+    saleEndsAt: row.sale_ends_at || null
+  };
+};
+
+// Parse an optional date field: undefined keeps the current value, null or
+// '' clears it
+const parseDateField = (value) => {
+  if (value === undefined) {
+    return { value: undefined };
+  }
+  if (value === null || value === '') {
+    return { value: null };
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? { error: true } : { value: date };
+};
+
+/**
+ * Merge the sale fields of a request body (salePrice, saleStartsAt,
+ * saleEndsAt) over the current values of a product or variant.
+ * @param {Object} body - Request body
+ * @param {Object} current - Current row (empty for new products and variants)
+ * @param {number} price - Regular price the sale price must be below
+ * @returns {Object} { values: { sale_price, sale_starts_at, sale_ends_at } } or { error }
+ */
+const resolveSaleFields = (body, current = {}, price) => {
+  const values = {
+    sale_price: current.sale_price !== undefined ? current.sale_price : null,
+    sale_starts_at: current.sale_starts_at || null,
+    sale_ends_at: current.sale_ends_at || null
+  };
+
+  if (body.salePrice !== undefined) {
+    if (body.salePrice === null || body.salePrice === '') {
+      values.sale_price = null;
+    } else if (isNaN(parseFloat(body.salePrice)) || parseFloat(body.salePrice) < 0) {
+      return { error: 'Sale price must be a non-negative number' };
+    } else {
+      values.sale_price = parseFloat(body.salePrice);
+    }
+  }
+
+  for (const [field, column] of [['saleStartsAt', 'sale_starts_at'], ['saleEndsAt', 'sale_ends_at']]) {
+    const parsed = parseDateField(body[field]);
+    if (parsed.error) {
+      return { error: `${field} must be a valid date` };
+    }
+    if (parsed.value !== undefined) {
+      values[column] = parsed.value;
+    }
+  }
+
+  if (values.sale_price !== null && parseFloat(values.sale_price) >= parseFloat(price)) {
+    return { error: 'Sale price must be lower than the regular price' };
+  }
+  if (values.sale_starts_at && values.sale_ends_at &&
+      new Date(values.sale_ends_at) <= new Date(values.sale_starts_at)) {
+    return { error: 'saleEndsAt must be after saleStartsAt' };
+  }
+
+  return { values };
+};
+
+/**
+ * Fold scheduled price changes that are due into the price columns and mark
+ * them applied. Pricing reads already honour due changes, this keeps the
+ * stored prices (exports, admin edits) current.
+ * @param {Object} db - Pool to run the queries on
+ * @returns {Promise<number>} Number of changes applied
+ */
+const applyDuePriceChanges = async (db = pool) => {
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [changes] = await connection.query(
+      `SELECT * FROM scheduled_price_changes
+       WHERE applied_at IS NULL AND effective_at <= NOW()
+       ORDER BY effective_at, id
+       FOR UPDATE`
+    );
+
+    for (const change of changes) {
+      if (change.variant_id) {
+        await connection.query('UPDATE product_variants SET price = ? WHERE id = ?', [change.price, change.variant_id]);
+      } else {
+        await connection.query('UPDATE products SET price = ? WHERE id = ?', [change.price, change.product_id]);
+      }
+      await connection.query(
+        'UPDATE scheduled_price_changes SET applied_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [change.id]
+      );
+    }
+
+    await connection.commit();
+    return changes.length;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+module.exports = {
+  priceSql,
+  priceColumnsSql,
+  formatPricing,
+  resolveSaleFields,
+  applyDuePriceChanges
+};
@@ -0,0 +1,229 @@
+// Structured product attributes: allergens, dietary labels, cocoa
+// percentage, ingredients and nutrition facts.
+
+// The 14 allergens that must be declared on food labels in the EU/UK
+const ALLERGENS = [
+  'gluten', 'crustaceans', 'eggs', 'fish', 'peanuts', 'soybeans', 'milk',
+  'nuts', 'celery', 'mustard', 'sesame', 'sulphites', 'lupin', 'molluscs'
+];
+
+const DIETARY_LABELS = [
+  'vegan', 'vegetarian', 'gluten_free', 'dairy_free', 'nut_free', 'organic',
+  'fair_trade', 'halal', 'kosher', 'sugar_free', 'palm_oil_free'
+];
+
+// Labels that can't be claimed by a product containing one of these allergens
+// (free-from labels also rule out "may contain" traces, see TRACE_SENSITIVE_LABELS)
+const DIETARY_CONFLICTS = {
+  vegan: ['milk', 'eggs', 'fish', 'crustaceans', 'molluscs'],
+  gluten_free: ['gluten'],
+  dairy_free: ['milk'],
+  nut_free: ['nuts', 'peanuts']
+};
+
+// Free-from claims that a possible trace of the allergen already contradicts
+const TRACE_SENSITIVE_LABELS = ['gluten_free', 'dairy_free', 'nut_free'];
+
+// Nutrition facts per 100 g
+const NUTRITION_FIELDS = [
+  'energyKj', 'energyKcal', 'fat', 'saturatedFat', 'carbohydrates',
+  'sugars', 'fibre', 'protein', 'salt'
+];
+
+// Multipart forms send lists as JSON or comma-separated strings
+const parseList = (value) => {
+  if (typeof value === 'string') {
+    const text = value.trim();
+    if (text.startsWith('[')) {
+      return JSON.parse(text);
+    }
+    return text ? text.split(',').map(item => item.trim()).filter(Boolean) : [];
+  }
+  return value;
+};
+
+// Parse a JSON column that may already have been parsed by the driver
+const parseJsonColumn = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+// Validate a list against its allowed values, returns { values } or { error }
+const resolveList = (value, allowed, field) => {
+  let list;
+  try {
+    list = parseList(value);
+  } catch (e) {
+    return { error: `${field} must be a list` };
+  }
+  if (!Array.isArray(list) || !list.every(item => typeof item === 'string')) {
+    return { error: `${field} must be a list` };
+  }
+  const normalized = [...new Set(list.map(item => item.trim().toLowerCase()))];
+  const invalid = normalized.filter(item => !allowed.includes(item));
+  if (invalid.length) {
+    return { error: `Invalid ${field}: ${invalid.join(', ')}. Allowed values: ${allowed.join(', ')}` };
+  }
+  return { values: normalized };
+};
+
+/**
+ * Parse a comma-separated list of allergens or dietary labels from a query string
+ * @param {string} value - e.g. "nuts,milk"
+ * @param {string[]} allowed - ALLERGENS or DIETARY_LABELS
+ * @param {string} field - Parameter name for the error message
+ * @returns {Object} { values } or { error }
+ */
+const parseQueryList = (value, allowed, field) => {
+  if (value === undefined || value === '') {
+    return { values: [] };
+  }
+  return resolveList(String(value), allowed, field);
+};
+
+/**
+ * Merge the attribute fields of a request body (allergens, allergenTraces,
+ * dietaryLabels, cocoaPercentage, ingredients, nutrition) over the current
+ * values of a product. Missing fields keep their value, null clears them.
+ * @param {Object} body - Request body
+ * @param {Object} current - Current products row (empty for new products)
+ * @returns {Object} { values } keyed by column, or { error }
+ */
+const resolveProductAttributes = (body, current = {}) => {
+  const values = {
+    allergens: parseJsonColumn(current.allergens),
+    allergen_traces: parseJsonColumn(current.allergen_traces),
+    dietary_labels: parseJsonColumn(current.dietary_labels),
+    cocoa_percentage: current.cocoa_percentage !== undefined ? current.cocoa_percentage : null,
+    ingredients: current.ingredients || null,
+    nutrition: parseJsonColumn(current.nutrition)
+  };
+
+  const lists = [
+    ['allergens', 'allergens', ALLERGENS],
+    ['allergenTraces', 'allergen_traces', ALLERGENS],
+    ['dietaryLabels', 'dietary_labels', DIETARY_LABELS]
+  ];
+  for (const [field, column, allowed] of lists) {
+    if (body[field] === undefined) {
+      continue;
+    }
+    if (body[field] === null) {
+      values[column] = null;
+      continue;
+    }
+    const list = resolveList(body[field], allowed, field);
+    if (list.error) {
+      return { error: list.error };
+    }
+    values[column] = list.values;
+  }
+
+  if (body.cocoaPercentage !== undefined) {
+    if (body.cocoaPercentage === null || body.cocoaPercentage === '') {
+      values.cocoa_percentage = null;
+    } else {
+      const cocoa = Number(body.cocoaPercentage);
+      if (isNaN(cocoa) || cocoa < 0 || cocoa > 100) {
+        return { error: 'Cocoa percentage must be a number from 0 to 100' };
+      }
+      values.cocoa_percentage = cocoa;
+    }
+  }
+
+  if (body.ingredients !== undefined) {
+    if (body.ingredients !== null && typeof body.ingredients !== 'string') {
+      return { error: 'Ingredients must be text' };
+    }
+    values.ingredients = body.ingredients && body.ingredients.trim() ? body.ingredients.trim() : null;
+  }
+
+  if (body.nutrition !== undefined) {
+    let nutrition = body.nutrition;
+    try {
+      nutrition = typeof nutrition === 'string' && nutrition.trim() ? JSON.parse(nutrition) : nutrition;
+    } catch (e) {
+      return { error: 'Nutrition must be an object' };
+    }
+    if (nutrition === null || nutrition === '') {
+      values.nutrition = null;
+    } else if (typeof nutrition !== 'object' || Array.isArray(nutrition)) {
+      return { error: 'Nutrition must be an object' };
+    } else {
+      const unknown = Object.keys(nutrition).filter(key => !NUTRITION_FIELDS.includes(key));
+      if (unknown.length) {
+        return { error: `Unknown nutrition fields: ${unknown.join(', ')}. Allowed fields: ${NUTRITION_FIELDS.join(', ')}` };
+      }
+      const invalid = Object.entries(nutrition)
+        .filter(([, value]) => value !== null && (isNaN(Number(value)) || Number(value) < 0));
+      if (invalid.length) {
+        return { error: `Nutrition values must be non-negative numbers per 100 g: ${invalid.map(([key]) => key).join(', ')}` };
+      }
+      values.nutrition = Object.fromEntries(
+        Object.entries(nutrition).map(([key, value]) => [key, value === null ? null : Number(value)])
+      );
+    }
+  }
+
+  // Dietary claims must agree with the declared allergens, and free-from
+  // claims with the possible traces too
+  const contained = values.allergens || [];
+  const traces = values.allergen_traces || [];
+  for (const label of values.dietary_labels || []) {
+    const conflicts = (DIETARY_CONFLICTS[label] || []).filter(allergen => contained.includes(allergen));
+    if (conflicts.length) {
+      return { error: `A product containing ${conflicts.join(', ')} can't be labelled ${label}` };
+    }
+    const traceConflicts = TRACE_SENSITIVE_LABELS.includes(label)
+      ? DIETARY_CONFLICTS[label].filter(allergen => traces.includes(allergen))
+      : [];
+    if (traceConflicts.length) {
+      return { error: `A product that may contain ${traceConflicts.join(', ')} can't be labelled ${label}` };
+    }
+  }
+
+  return { values };
+};
+
+/**
+ * Column values of resolveProductAttributes ready for INSERT/UPDATE parameters
+ * @param {Object} values - values from resolveProductAttributes
+ * @returns {Array} [allergens, allergen_traces, dietary_labels, cocoa_percentage, ingredients, nutrition]
+ */
+const attributeParams = (values) => [
+  values.allergens ? JSON.stringify(values.allergens) : null,
+  values.allergen_traces ? JSON.stringify(values.allergen_traces) : null,
+  values.dietary_labels ? JSON.stringify(values.dietary_labels) : null,
+  values.cocoa_percentage,
+  values.ingredients,
+  values.nutrition ? JSON.stringify(values.nutrition) : null
+];
+
+/**
+ * Shape the attributes of a products row for API responses. null means the
+ * information hasn't been entered, [] means none.
+ * @param {Object} product - products row
+ * @returns {Object}
+ */
+const formatProductAttributes = (product) => ({
+  allergens: parseJsonColumn(product.allergens),
+  allergenTraces: parseJsonColumn(product.allergen_traces),
+  dietaryLabels: parseJsonColumn(product.dietary_labels),
+  cocoaPercentage: product.cocoa_percentage !== null && product.cocoa_percentage !== undefined
+    ? parseFloat(product.cocoa_percentage)
+    : null,
+  ingredients: product.ingredients || null,
+  nutrition: parseJsonColumn(product.nutrition)
+});
+
+module.exports = {
+  ALLERGENS,
+  DIETARY_LABELS,
+  NUTRITION_FIELDS,
+  parseQueryList,
+  resolveProductAttributes,
+  attributeParams,
+  formatProductAttributes
+};
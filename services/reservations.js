@@ -0,0 +1,174 @@
+const pool = require('../config/db');
+const { findPurchasable, getAvailableStockForUpdate } = require('./inventory');
+
+// How long starting checkout holds the cart's quantities
+const RESERVATION_MINUTES = parseInt(process.env.STOCK_RESERVATION_MINUTES) || 15;
+
+// Shape a stock_reservations row and its items for API responses
+const formatReservation = (reservation, items) => ({
+  id: reservation.id,
+  status: reservation.status,
+  expiresAt: reservation.expires_at,
+  items: items.map(item => ({
+    productId: item.product_id,
+    variantId: item.variant_id,
+    quantity: item.quantity
+  }))
+});
+
+/**
+ * Release the active reservations of a cart (checkout restarted or
+ * cancelled, or the cart changed so the held quantities no longer match it)
+ * @param {Object} db - Pool or connection to run the query on
+ * @param {number} cartId - Cart ID
+ */
+const releaseCartReservations = async (db, cartId) => {
+  await db.query(
+    "UPDATE stock_reservations SET status = 'released' WHERE cart_id = ? AND status = 'active'",
+    [cartId]
+  );
+};
+
+/**
+ * Get the active, unexpired reservation of a cart with its items
+ * @param {Object} db - Pool or connection to run the queries on
+ * @param {number} cartId - Cart ID
+ * @returns {Promise<Object|null>} Formatted reservation
+ */
+const getCartReservation = async (db, cartId) => {
+  const [reservations] = await db.query(
+    "SELECT * FROM stock_reservations WHERE cart_id = ? AND status = 'active' AND expires_at > NOW() ORDER BY id DESC LIMIT 1",
+    [cartId]
+  );
+  if (!reservations.length) {
+    return null;
+  }
+
+  const [items] = await db.query(
+    'SELECT * FROM stock_reservation_items WHERE reservation_id = ? ORDER BY id',
+    [reservations[0].id]
+  );
+  return formatReservation(reservations[0], items);
+};
+
+/**
+ * Hold the quantities of a cart for RESERVATION_MINUTES. Any previous
+ * reservation of the cart is released first. Run it inside a transaction.
+ * @param {Object} db - Connection to run the queries on
+ * @param {Object} cart - carts row
+ * @param {number} userId - User checking out
+ * @returns {Promise<Object>} { reservation } or { shortages } when some items can't be held
+ */
+const reserveCart = async (db, cart, userId) => {
+  await releaseCartReservations(db, cart.id);
+
+  // Lock stock rows in a fixed order so concurrent checkouts can't deadlock
+  const [items] = await db.query(
+    `SELECT ci.*, p.name FROM cart_items ci
+     JOIN products p ON ci.product_id = p.id
+     WHERE ci.cart_id = ?
+     ORDER BY ci.product_id, ci.variant_id`,
+    [cart.id]
+  );
+
+  const shortages = [];
+  for (const item of items) {
+    const purchasable = await findPurchasable(db, item.product_id, item.variant_id);
+    if (purchasable.error) {
+      shortages.push({ productId: item.product_id, variantId: item.variant_id, name: item.name, message: purchasable.error });
+      continue;
+    }
+
+    const available = await getAvailableStockForUpdate(
+      db,
+      { productId: item.product_id, variantId: item.variant_id },
+      { cartId: cart.id }
+    );
+    if (available < item.quantity) {
+      shortages.push({
+        productId: item.product_id,
+        variantId: item.variant_id,
+        name: item.name,
+        requested: item.quantity,
+        available: Math.max(available, 0),
+        message: `Only ${Math.max(available, 0)} of ${item.name} available`
+      });
+    }
+  }
+
+  if (shortages.length) {
+    return { shortages };
+  }
+
+  const [result] = await db.query(
+    'INSERT INTO stock_reservations (cart_id, user_id, expires_at) VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))',
+    [cart.id, userId, RESERVATION_MINUTES]
+  );
+  for (const item of items) {
+    await db.query(
+      'INSERT INTO stock_reservation_items (reservation_id, product_id, variant_id, quantity) VALUES (?, ?, ?, ?)',
+      [result.insertId, item.product_id, item.variant_id, item.quantity]
+    );
+  }
+
+  return { reservation: await getCartReservation(db, cart.id) };
+};
+
+/**
+ * Lock a user's reservation for checkout. Only active, unexpired
+ * reservations are returned.
+ * @param {Object} db - Connection to run the queries on
+ * @param {number} reservationId - Reservation ID
+ * @param {number} userId - User placing the order
+ * @returns {Promise<Object|null>} { id, cartId, items } with raw item rows
+ */
+const findActiveReservation = async (db, reservationId, userId) => {
+  const [reservations] = await db.query(
+    "SELECT * FROM stock_reservations WHERE id = ? AND user_id = ? AND status = 'active' AND expires_at > NOW() FOR UPDATE",
+    [reservationId, userId]
+  );
+  if (!reservations.length) {
+    return null;
+  }
+
+  const [items] = await db.query(
+    'SELECT * FROM stock_reservation_items WHERE reservation_id = ? ORDER BY product_id, variant_id',
+    [reservationId]
+  );
+  return { id: reservations[0].id, cartId: reservations[0].cart_id, items };
+};
+
+/**
+ * Mark a reservation as used by an order, which releases its holds
+ * @param {Object} db - Connection to run the query on
+ * @param {number} reservationId - Reservation ID
+ * @param {number} orderId - Order placed against it
+ */
+const completeReservation = async (db, reservationId, orderId) => {
+  await db.query(
+    "UPDATE stock_reservations SET status = 'completed', order_id = ? WHERE id = ?",
+    [orderId, reservationId]
+  );
+};
+
+/**
+ * Mark reservations past their expiry as expired. Expired holds already stop
+ * counting against stock, this only keeps the status column accurate.
+ * @returns {Promise<number>} Number of reservations expired
+ */
+const expireReservations = async () => {
+  const [result] = await pool.query(
+    "UPDATE stock_reservations SET status = 'expired' WHERE status = 'active' AND expires_at <= NOW()"
+  );
+  return result.affectedRows;
+};
+
+module.exports = {
+  RESERVATION_MINUTES,
+  releaseCartReservations,
+  getCartReservation,
+  reserveCart,
+  findActiveReservation,
+  completeReservation,
+  expireReservations
+};
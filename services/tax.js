@@ -0,0 +1,110 @@
+// Tax rates by region (shipping city and/or zip prefix) and product category.
+// Catalog prices either include tax (TAX_MODE=inclusive, the tax is part of
+// the price) or exclude it (TAX_MODE=exclusive, the default, tax is added on top).
+const TAX_INCLUSIVE = process.env.TAX_MODE === 'inclusive';
+
+// Round to cents
+const toCents = (amount) => Math.round(amount * 100) / 100;
+
+// Zip codes are compared upper-case without spaces ("sw1a 1aa" = "SW1A1AA")
+const normalizeZip = (zip) => String(zip || '').replace(/\s+/g, '').toUpperCase();
+
+/**
+ * Load the active tax rates that apply to a shipping region. Rates without a
+ * city or zip prefix apply everywhere, so an unknown region (a cart before
+ * checkout) only gets those.
+ * @param {Object} db - Pool or connection to run the queries on
+ * @param {Object} region - { city, zip }
+ * @returns {Promise<Array>} tax_rates rows, category rates with categoryDepths
+ *                           (category ID => levels below the rate's category)
+ */
+const findTaxRates = async (db, { city = null, zip = null } = {}) => {
+  const [rates] = await db.query(
+    `SELECT * FROM tax_rates
+     WHERE is_active = TRUE
+       AND (zip_prefix IS NULL OR ? LIKE CONCAT(zip_prefix, '%'))
+       AND (city IS NULL OR city = ?)`,
+    [zip ? normalizeZip(zip) : null, city ? String(city).trim() : null]
+  );
+
+  const categoryRates = rates.filter(rate => rate.category_id !== null);
+  if (categoryRates.length) {
+    // A category rate also covers the subcategories of its category
+    const [tree] = await db.query(
+      `WITH RECURSIVE rate_categories AS (
+         SELECT id AS tax_rate_id, category_id, 0 AS depth FROM tax_rates WHERE id IN (?)
+         UNION ALL
+         SELECT rc.tax_rate_id, c.id, rc.depth + 1
+         FROM categories c JOIN rate_categories rc ON c.parent_id = rc.category_id
+       )
+       SELECT tax_rate_id, category_id, depth FROM rate_categories`,
+      [categoryRates.map(rate => rate.id)]
+    );
+    for (const rate of categoryRates) {
+      rate.categoryDepths = new Map(
+        tree.filter(row => row.tax_rate_id === rate.id).map(row => [row.category_id, row.depth])
+      );
+    }
+  }
+
+  return rates;
+};
+
+// Pick the most specific rate for a category: a rate for the category itself
+// beats one for a parent category, which beats a rate for every category. Ties
+// go to the longest zip prefix, then to a rate for the city.
+const pickTaxRate = (rates, categoryId) => {
+  const candidates = rates
+    .map(rate => ({
+      rate,
+      depth: rate.category_id === null ? Infinity : rate.categoryDepths.get(categoryId)
+    }))
+    .filter(candidate => candidate.depth !== undefined);
+
+  candidates.sort((a, b) =>
+    (a.depth - b.depth) ||
+    ((b.rate.zip_prefix || '').length - (a.rate.zip_prefix || '').length) ||
+    ((b.rate.city ? 1 : 0) - (a.rate.city ? 1 : 0)) ||
+    (a.rate.id - b.rate.id)
+  );
+  return candidates.length ? candidates[0].rate : null;
+};
+
+/**
+ * Work out the tax of each line, on its amount after discounts
+ * @param {Array} rates - Rates from findTaxRates
+ * @param {Array} lines - [{ key, categoryId, amount }]
+ * @returns {Array} Tax lines [{ key, taxRateId, name, rate, taxableAmount, amount }],
+ *                  taxableAmount excludes tax in both modes
+ */
+const calculateTax = (rates, lines) => {
+  const taxes = [];
+  for (const line of lines) {
+    const rate = pickTaxRate(rates, line.categoryId);
+    if (!rate || line.amount <= 0) {
+      continue;
+    }
+
+    const percentage = parseFloat(rate.rate);
+    const amount = TAX_INCLUSIVE
+      ? toCents(line.amount * percentage / (100 + percentage))
+      : toCents(line.amount * percentage / 100);
+
+    taxes.push({
+      key: line.key,
+      taxRateId: rate.id,
+      name: rate.name,
+      rate: percentage,
+      taxableAmount: TAX_INCLUSIVE ? toCents(line.amount - amount) : toCents(line.amount),
+      amount
+    });
+  }
+  return taxes;
+};
+
+module.exports = {
+  TAX_INCLUSIVE,
+  normalizeZip,
+  findTaxRates,
+  calculateTax
+};